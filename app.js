@@ -1,79 +1,310 @@
-import { lookAt, ortho, mat4, vec3, flatten, normalMatrix } from "./libs/MV.js";
+import {
+	mat4,
+	vec3,
+	vec4,
+	mult,
+	add,
+	subtract,
+	scale,
+	mix,
+	flatten,
+	normalMatrix,
+} from "./libs/MV.js";
 import {
 	loadShadersFromURLS,
 	buildProgramFromSources,
 	setupWebGL,
 } from "./libs/utils.js";
-import { modelView, loadMatrix } from "./libs/stack.js";
 
 import * as CUBE from "./libs/objects/cube.js";
 import * as SPHERE from "./libs/objects/sphere.js";
 import * as CYLINDER from "./libs/objects/cylinder.js";
 import * as PYRAMID from "./libs/objects/pyramid.js";
 import * as TORUS from "./libs/objects/torus.js";
+import { GUI } from "./libs/dat.gui.module.js";
 
 import Node from "./graphNode.js";
+import Camera from "./camera.js";
+import CameraTransition from "./cameraTransition.js";
+import FollowCamera from "./followCamera.js";
+import Clock from "./clock.js";
+import WaterJet from "./waterJet.js";
+import {
+	createDirectionalLight,
+	createPointLight,
+	createSpotLight,
+	uploadLights,
+} from "./lighting.js";
+
+import { DEFAULT_TRUCK_CONFIG, parseTruckConfig } from "./truckConfig.js";
+import { exportGLTF, exportGLB } from "./gltfExport.js";
+import { pickRay, pick } from "./picking.js";
+import { LAYOUTS, DEFAULT_LAYOUT, SINGLE_LAYOUT } from "./layouts.js";
+import {
+	ladderTipPose,
+	solveLadder,
+	ladderLength,
+} from "./ladderKinematics.js";
 
 import * as CONSTANTS from "./constants.js";
 
 const DIST = 10;
 
-let theta = CONSTANTS.DEFAULT_THETA;
-let gamma = CONSTANTS.DEFAULT_GAMMA;
+let front_view, left_view, top_view, axo_view;
+let chase_view, cab_view, ladder_view;
 
-let all_views = true;
+let projection = mat4();
 
-let big_view, front_view, left_view, top_view, axo_view;
+// Whether the views keep framing the truck (or the selection) while it moves
+let autoFit = false;
 
-let projection = mat4();
+// Current mouse drag ("orbit" or "pan") and the camera it moves, null if none
+let drag = null;
+
+// Where the left button was pressed on the canvas, to tell clicks from drags
+let press = null;
 
-let zoom = CONSTANTS.DEFAULT_ZOOM;
-let aspect = 1.0;
+// Whether the bounding boxes are drawn over the scene (debug overlay)
+let showBounds = false;
+
+// Whether the floor squares within reach of the ladder are tinted
+let showReachEnvelope = false;
+
+// Point the ladder is aimed at from the control panel, in world coordinates
+const ladderTarget = { ...CONSTANTS.DEFAULT_LADDER_TARGET };
+
+// Part of the truck selected with the mouse, null if none
+/** @type {Node|null} */
+let selectedNode = null;
 
 let currentMode = CONSTANTS.DRAW_DEFAULT_MODE;
 
+// Distance travelled by the truck (decreases when driving forward), spins the wheels
 let translation = CONSTANTS.DEFAULT_TRANSLATION;
 let wheelRotation = CONSTANTS.DEFAULT_ROTATION;
 
+// Position of the truck on the floor plane, its heading and the steering input
+let truck_x = CONSTANTS.DEFAULT_TRANSLATION;
+let truck_z = 0;
+let truck_heading = CONSTANTS.DEFAULT_HEADING;
+let steering_angle = 0;
+
 let blinker_color = CONSTANTS.COLORS.GREY;
 
 let lightColor = CONSTANTS.COLORS.GREY;
 
 let sirenColor = CONSTANTS.COLORS.GREY;
 
-let sirenInterval;
+let sirenOn = false;
+let sirenFlashTime = 0;
+
+let blinkerOn = false;
+let blinkerFlashTime = 0;
 
-let blinker_interval;
+// Drives every animation; paused, stepped and scaled from the keyboard
+const clock = new Clock();
 
-let ladder_user_offset_x = 0.1;
+// Keys of continuous controls currently held down
+const heldKeys = new Set();
+
+let ladder_user_extension = CONSTANTS.DEFAULT_LADDER_EXTENSION;
 let ladder_user_angle = 0;
 let ladder_user_tilt = 0;
+let ladderExtensionMode = CONSTANTS.DEFAULT_LADDER_EXTENSION_MODE;
 
 let isRollingUp = CONSTANTS.IS_ROLLING_UP_DEFAULT;
 let rollUpProgress = CONSTANTS.DEFAULT_ROLL_UP;
 
+// The pump sends water from the tank out of the tip of the ladder
+let pumpOn = false;
+let pumpPressure = CONSTANTS.DEFAULT_PUMP_PRESSURE;
+// Pressure the tap wheel is turned to, which the pump pressure eases towards
+let tapWheelPressure = CONSTANTS.DEFAULT_PUMP_PRESSURE;
+let tankLevel = 1; // From 0 (empty) to 1 (full)
+
+// The outriggers steady the truck: the ladder only moves once they are set on
+// the floor, and the truck only drives once they are stowed
+let outriggersDeployed = CONSTANTS.DEFAULT_OUTRIGGERS_DEPLOYED;
+let outriggerDeployment = outriggersDeployed ? 1 : 0; // From 0 (stowed) to 1 (set on the floor)
+
+const waterJet = new WaterJet({
+	...CONSTANTS.WATER_JET,
+	floor: CONSTANTS.FLOOR_HEIGHT / 2,
+});
+
+// Configuration the truck dimensions were last computed from
+let truckConfig = DEFAULT_TRUCK_CONFIG;
+
+// Long-lived scene graph, built once and mutated by the controls
+/** @type {Node} */
+let sceneRoot;
+
+/** @type {Node} */
+let truckNode;
+
+/** @type {Node} */
+let ladderRotationNode;
+
+/** @type {Node} */
+let ladderTiltNode;
+
+/** @type {Node} */
+let sirenNode;
+
+// The water inside the tank, null if the truck has none
+/** @type {Node|null} */
+let waterNode = null;
+
+// The tap wheel setting the pump pressure, null if the truck has none
+/** @type {Node|null} */
+let tapWheelNode = null;
+
+// Small sphere moved to each drop of the water jet, not part of the scene
+/** @type {Node} */
+let dropNode;
+
+// Unit cube drawn in lines, stretched over each bounding box of the debug overlay
+/** @type {Node} */
+let boundsNode;
+
+/** @type {Node[]} */
+const wheelSpinNodes = [];
+
+/** @type {{node: Node, color: number[]}[]} Floor squares and their own color */
+const floorSquares = [];
+
+/** @type {Node[]} Sections of the ladder that slide out, from the bottom up (the bottom one stays put) */
+const ladderSectionNodes = [];
+
+/** @type {{node: Node, offset: number}[]} Front wheel steering nodes and their offset along Z */
+const wheelSteerNodes = [];
+
+/** @type {{beam: Node, leg: Node, foot: Node}[]} Sliding beam, extending leg and foot of each outrigger */
+const outriggerNodes = [];
+
+/** @type {Node[]} */
+const blinkerNodes = [];
+
+/** @type {Node[]} */
+const headlightGlassNodes = [];
+
+/** @type {Node[][]} */
+const windowCubeNodes = [];
+
+/** @type {import("./lighting.js").Light[]} */
+const lights = [];
+
+/** @type {import("./lighting.js").Light[]} */
+const headlightLights = [];
+
+/** @type {import("./lighting.js").Light} */
+let sirenLight;
+
+let sirenRotation = 0;
+
 // Initialize the front view looking from the front of the truck
-front_view = lookAt(
+front_view = new Camera(
 	vec3(0, CONSTANTS.CAMERA_OFFSET, DIST),
 	vec3(0, CONSTANTS.CAMERA_OFFSET, 0),
-	vec3(0, 1, 0)
+	vec3(0, 1, 0),
+	Camera.orthographic(),
+	CONSTANTS.DEFAULT_ZOOM
 );
 
 // Initialize the top view looking down from above the truck
-top_view = lookAt(vec3(0, DIST, 0), vec3(0, 0, 0), vec3(0, 0, -1));
+top_view = new Camera(
+	vec3(0, DIST, 0),
+	vec3(0, 0, 0),
+	vec3(0, 0, -1),
+	Camera.orthographic(),
+	CONSTANTS.DEFAULT_ZOOM
+);
 
 // Initialize the left view looking from the left side of the truck
-left_view = lookAt(
+left_view = new Camera(
 	vec3(-DIST, CONSTANTS.CAMERA_OFFSET, 0),
 	vec3(0, CONSTANTS.CAMERA_OFFSET, 0),
-	vec3(0, 1, 0)
+	vec3(0, 1, 0),
+	Camera.orthographic(),
+	CONSTANTS.DEFAULT_ZOOM
+);
+
+// Initialize the axonometric view orbiting the truck with default angles
+axo_view = new Camera(
+	vec3(DIST, CONSTANTS.CAMERA_OFFSET, 0), // Replaced by the orbit below
+	vec3(0, CONSTANTS.CAMERA_OFFSET, 0),
+	vec3(0, 1, 0),
+	Camera.orthographic(),
+	CONSTANTS.DEFAULT_ZOOM
+);
+axo_view.setOrbit(CONSTANTS.DEFAULT_THETA, CONSTANTS.DEFAULT_GAMMA, DIST);
+
+// Initialize the chase camera following the truck from behind (it faces -X)
+chase_view = new FollowCamera(
+	null, // Attached to the truck by attach_cameras
+	vec3(CONSTANTS.CHASE_CAMERA_DISTANCE, CONSTANTS.CHASE_CAMERA_HEIGHT, 0),
+	vec3(0, CONSTANTS.CAMERA_OFFSET - CONSTANTS.TRUCK_OFFSET, 0),
+	vec3(0, 1, 0),
+	Camera.perspective(),
+	CONSTANTS.CHASE_CAMERA_LAG
+);
+
+// Initialize the cab camera looking through the windscreen from the driver's seat
+cab_view = new FollowCamera(
+	null, // Attached to the "cab_eye" node by attach_cameras
+	vec3(0, 0, 0),
+	vec3(-CONSTANTS.CAB_CAMERA_FOCUS, 0, 0),
+	vec3(0, 1, 0),
+	Camera.perspective(CONSTANTS.CAB_CAMERA_FOV)
 );
 
-// Initialize the axonometric view with default angles
-axo_view = calculateAxoView(CONSTANTS.DEFAULT_THETA, CONSTANTS.DEFAULT_GAMMA);
+// Initialize the ladder camera looking along the ladder from its tip
+ladder_view = new FollowCamera(
+	null, // Attached to the "ladder_tip" node by attach_cameras
+	vec3(0, 0, 0),
+	vec3(-CONSTANTS.LADDER_CAMERA_FOCUS, 0, 0),
+	vec3(0, 1, 0),
+	Camera.perspective(CONSTANTS.LADDER_CAMERA_FOV)
+);
+
+// The cameras the viewports can show by name, each with its own zoom, pan and projection
+const cameras = {
+	front: front_view,
+	left: left_view,
+	top: top_view,
+	axo: axo_view,
+	chase: chase_view,
+	cab: cab_view,
+	ladder: ladder_view,
+};
+
+// Layout of the viewports (see LAYOUTS), remembered between sessions with the cameras
+let layout = DEFAULT_LAYOUT;
+
+// Names of the cameras shown in the slots of each layout
+const layoutCameras = Object.fromEntries(
+	Object.entries(LAYOUTS).map(([name, slots]) => [
+		name,
+		slots.map((slot) => slot.camera),
+	])
+);
+
+// Layout with several views that '0' switches back to from the single view
+let multiLayout = DEFAULT_LAYOUT;
+
+// Seconds a slot takes to move from its camera to the next one it is given
+let transitionDuration = CONSTANTS.CAMERA_TRANSITION_DURATION;
+
+// Transitions running in the slots of the current layout, by slot index
+/** @type {Map<number, CameraTransition>} */
+const transitions = new Map();
 
-// Set the initial big view to the front view
-big_view = front_view;
+// Camera of the view last used with the mouse, which the keys control
+/** @type {Camera|null} */
+let focusedCamera = null;
+
+// Controllers of the control panel that pick the camera of each slot
+let slotControllers = [];
 
 /** @type{WebGL2RenderingContext} */
 let gl;
@@ -91,107 +322,1182 @@ function updateModelView(gl, program, modelView) {
 	gl.uniformMatrix4fv(u_normals, false, flatten(normalMatrix(modelView)));
 }
 
-function updateProjection(gl, program, projection) {
-	const u_projection = gl.getUniformLocation(program, "u_projection");
-	gl.uniformMatrix4fv(u_projection, false, flatten(projection));
+function updateProjection(gl, program, projection) {
+	const u_projection = gl.getUniformLocation(program, "u_projection");
+	gl.uniformMatrix4fv(u_projection, false, flatten(projection));
+}
+
+/**
+ * Toggles the view mode between showing a single view and showing the last
+ * layout with several views.
+ */
+function toggle_view_mode() {
+	set_layout(layout === SINGLE_LAYOUT ? multiLayout : SINGLE_LAYOUT);
+}
+
+/**
+ * Switches to the next layout.
+ */
+function next_layout() {
+	const names = Object.keys(LAYOUTS);
+	set_layout(names[(names.indexOf(layout) + 1) % names.length]);
+}
+
+/**
+ * Shows the viewports of the given layout.
+ *
+ * @param {string} name - The name of the layout in LAYOUTS.
+ */
+function set_layout(name) {
+	layout = name;
+	if (name !== SINGLE_LAYOUT) multiLayout = name;
+	transitions.clear();
+
+	update_slot_controllers();
+	save_layout();
+}
+
+/**
+ * Shows a camera in a slot of a layout. In the current layout the view moves
+ * to the new camera over transitionDuration, starting from where it is now
+ * (which may be halfway through another transition).
+ *
+ * @param {string} layoutName - The name of the layout in LAYOUTS.
+ * @param {number} slot - The index of the slot.
+ * @param {string} name - The name of the camera.
+ */
+function show_camera(layoutName, slot, name) {
+	const previous = cameras[layoutCameras[layoutName][slot]];
+	layoutCameras[layoutName][slot] = name;
+	save_layout();
+
+	if (layoutName !== layout) return;
+	if (transitionDuration > 0 && cameras[name] !== previous) {
+		const from = transitions.get(slot) ?? previous;
+		transitions.set(
+			slot,
+			new CameraTransition(from, cameras[name], transitionDuration)
+		);
+	} else {
+		transitions.delete(slot);
+	}
+}
+
+/**
+ * Advances the camera transitions and forgets those that are over.
+ *
+ * @param {number} dt - The time elapsed since the last frame, in seconds.
+ */
+function update_transitions(dt) {
+	transitions.forEach((transition, slot) => {
+		transition.update(dt);
+		if (transition.done) transitions.delete(slot);
+	});
+}
+
+/**
+ * Shows or hides the camera pickers of the control panel so that there is
+ * one per slot of the current layout.
+ */
+function update_slot_controllers() {
+	slotControllers.forEach((controller, slot) => {
+		controller.__li.style.display = slot < LAYOUTS[layout].length ? "" : "none";
+	});
+}
+
+/**
+ * Remembers the layout and the cameras of the slots for the next sessions.
+ */
+function save_layout() {
+	try {
+		localStorage.setItem(
+			CONSTANTS.LAYOUT_STORAGE_KEY,
+			JSON.stringify({ layout, multiLayout, cameras: layoutCameras })
+		);
+	} catch (e) {
+		// Without storage (disabled or full) the layout only lasts for this session
+	}
+}
+
+/**
+ * Restores the layout saved by save_layout, ignoring the layouts and cameras
+ * that no longer exist.
+ */
+function load_layout() {
+	let saved;
+	try {
+		saved = JSON.parse(localStorage.getItem(CONSTANTS.LAYOUT_STORAGE_KEY));
+	} catch (e) {
+		return;
+	}
+	if (!saved) return;
+
+	Object.entries(saved.cameras ?? {}).forEach(([name, slots]) => {
+		if (!LAYOUTS[name] || !Array.isArray(slots)) return;
+
+		slots.slice(0, LAYOUTS[name].length).forEach((camera, slot) => {
+			if (cameras[camera]) layoutCameras[name][slot] = camera;
+		});
+	});
+
+	if (LAYOUTS[saved.multiLayout] && saved.multiLayout !== SINGLE_LAYOUT) {
+		multiLayout = saved.multiLayout;
+	}
+	if (LAYOUTS[saved.layout]) layout = saved.layout;
+}
+
+function resize() {
+	canvas.height = window.innerHeight;
+	canvas.width = window.innerWidth;
+}
+
+function initialize_objects() {
+	CUBE.init(gl);
+	SPHERE.init(gl);
+	CYLINDER.init(gl);
+	PYRAMID.init(gl);
+	TORUS.init(gl, 30, 30, 0.8, 0.2);
+}
+
+/**
+ * Handles key down events and performs corresponding actions.
+ *
+ * This function maps specific keys to actions such as toggling view modes,
+ * adjusting angles, resetting zoom, and steering the truck. When a key
+ * is pressed, the corresponding action is executed. Keys of continuous
+ * controls (driving and moving the ladder) are held instead, see HELD_ACTIONS.
+ *
+ * @param {KeyboardEvent} event - The keyboard event object.
+ */
+function handle_key_down(event) {
+	// Typing in the configuration or control panels must not trigger the controls
+	if (["INPUT", "TEXTAREA", "SELECT"].includes(event.target?.tagName)) return;
+
+	const actions = {
+		0: toggle_view_mode,
+		1: () => set_big_view("front"),
+		2: () => set_big_view("left"),
+		3: () => set_big_view("top"),
+		4: () => set_big_view("axo"),
+		5: () => set_big_view("chase"),
+		6: () => set_big_view("cab"),
+		7: () => set_big_view("ladder"),
+		y: next_layout,
+		" ": () => toggle_render_mode(),
+		v: toggle_projection,
+		ArrowRight: () => adjust_theta(CONSTANTS.ANGLE_INCREMENT),
+		ArrowLeft: () => adjust_theta(-CONSTANTS.ANGLE_INCREMENT),
+		ArrowUp: () => adjust_gamma(CONSTANTS.ANGLE_INCREMENT),
+		ArrowDown: () => adjust_gamma(-CONSTANTS.ANGLE_INCREMENT),
+		r: () => reset_views(),
+		n: () => frame_node(truckNode),
+		m: () => selectedNode && frame_node(selectedNode),
+		j: () => steer(CONSTANTS.STEERING_INCREMENT),
+		l: () => steer(-CONSTANTS.STEERING_INCREMENT),
+		k: () => steer(-steering_angle),
+		c: () => toggleLights(),
+		x: toggleSiren,
+		i: toggleBlinker,
+		z: () => (isRollingUp = !isRollingUp),
+		f: () => clock.togglePause(),
+		".": () => clock.step(),
+		"[": () =>
+			clock.setTimeScale(clock.timeScale / CONSTANTS.TIME_SCALE_FACTOR),
+		"]": () =>
+			clock.setTimeScale(clock.timeScale * CONSTANTS.TIME_SCALE_FACTOR),
+		g: toggleConfigPanel,
+		h: toggleHelpPanel,
+		b: () => (showBounds = !showBounds),
+		t: () => toggle_reach_envelope(),
+		u: () => (pumpOn = !pumpOn),
+		9: toggle_outriggers,
+		Escape: () => select_node(null),
+	};
+	const key = key_name(event);
+	if (HELD_ACTIONS[key]) heldKeys.add(key);
+	else if (actions[key]) actions[key]();
+}
+
+/**
+ * Handles key up events, releasing continuous controls.
+ *
+ * @param {KeyboardEvent} event - The keyboard event object.
+ */
+function handle_key_up(event) {
+	heldKeys.delete(key_name(event));
+}
+
+/**
+ * Returns the name of a key regardless of Shift and Caps Lock, so that a key
+ * held down is released even if Shift changed in between.
+ *
+ * @param {KeyboardEvent} event - The keyboard event object.
+ * @returns {string} The key, in lower case if it is a letter.
+ */
+function key_name(event) {
+	return event.key.length === 1 ? event.key.toLowerCase() : event.key;
+}
+
+/**
+ * Continuous controls, applied every frame while their key is held down.
+ * Each one receives the time elapsed since the last frame, in seconds.
+ */
+const HELD_ACTIONS = {
+	a: (dt) => drive(CONSTANTS.TRUCK_SPEED * dt),
+	d: (dt) => drive(-CONSTANTS.TRUCK_SPEED * dt),
+	o: (dt) => increaseLadderUserExtension(CONSTANTS.LADDER_EXTENSION_SPEED * dt),
+	p: (dt) => decreaseLadderUserExtension(CONSTANTS.LADDER_EXTENSION_SPEED * dt),
+	q: (dt) => increaseLadderUserAngle(CONSTANTS.LADDER_ROTATION_SPEED * dt),
+	e: (dt) => decreaseLadderUserAngle(CONSTANTS.LADDER_ROTATION_SPEED * dt),
+	w: (dt) => decreaseLadderUserTilt(CONSTANTS.LADDER_TILT_SPEED * dt),
+	s: (dt) => increaseLadderUserTilt(CONSTANTS.LADDER_TILT_SPEED * dt),
+	"-": (dt) => turn_tap_wheel(-CONSTANTS.TAP_WHEEL_SPEED * dt),
+	"=": (dt) => turn_tap_wheel(CONSTANTS.TAP_WHEEL_SPEED * dt),
+};
+
+/**
+ * Applies the continuous controls whose key is held down.
+ *
+ * @param {number} dt - The time elapsed since the last frame, in seconds.
+ */
+function update_held_keys(dt) {
+	if (dt === 0) return;
+	heldKeys.forEach((key) => HELD_ACTIONS[key](dt));
+}
+
+/**
+ * Toggles the visibility of the truck configuration panel.
+ */
+function toggleConfigPanel() {
+	const configPanel = document.getElementById("config_panel");
+	if (configPanel) {
+		configPanel.style.display =
+			configPanel.style.display === "none" ? "block" : "none";
+	}
+}
+
+/**
+ * Fills the truck configuration panel and wires its buttons.
+ *
+ * "Apply" parses the JSON document in the text area and rebuilds the truck
+ * with it, showing the validation errors instead if it is not valid.
+ * "Reset" goes back to the default configuration.
+ */
+function setup_config_panel() {
+	const text = document.getElementById("config_text");
+	const error = document.getElementById("config_error");
+
+	const show_config = () => (text.value = JSON.stringify(truckConfig, null, 2));
+	show_config();
+
+	document.getElementById("config_apply").addEventListener("click", () => {
+		try {
+			apply_truck_config(parseTruckConfig(text.value));
+			error.textContent = "";
+		} catch (e) {
+			error.textContent = e.message;
+		}
+	});
+
+	document.getElementById("config_reset").addEventListener("click", () => {
+		apply_truck_config(DEFAULT_TRUCK_CONFIG);
+		error.textContent = "";
+		show_config();
+	});
+}
+
+/**
+ * Creates the dat.gui control panel.
+ *
+ * Every control reads and writes the same state as the keyboard, through the
+ * same functions, and listens to it so the panel follows the keys.
+ */
+function setup_gui() {
+	const controls = {
+		get layout() {
+			return layout;
+		},
+		set layout(name) {
+			set_layout(name);
+		},
+		get perspective() {
+			return active_camera().isPerspective;
+		},
+		set perspective(value) {
+			if (value !== this.perspective) toggle_projection();
+		},
+		get theta() {
+			return normalize_angle(axo_view.orbit.theta);
+		},
+		set theta(value) {
+			orbit_camera(axo_view, value - this.theta, 0);
+		},
+		get gamma() {
+			return axo_view.orbit.gamma;
+		},
+		set gamma(value) {
+			orbit_camera(axo_view, 0, value - this.gamma);
+		},
+		get zoom() {
+			return active_camera().zoom;
+		},
+		set zoom(value) {
+			active_camera().zoom = value;
+		},
+		reset: () => reset_views(),
+		frameAll: () => frame_node(truckNode),
+		frameSelection: () => selectedNode && frame_node(selectedNode),
+		get autoFit() {
+			return autoFit;
+		},
+		set autoFit(value) {
+			autoFit = value;
+		},
+
+		get angle() {
+			return normalize_angle(ladder_user_angle);
+		},
+		set angle(value) {
+			increaseLadderUserAngle(value - this.angle);
+		},
+		get tilt() {
+			return ladder_user_tilt;
+		},
+		set tilt(value) {
+			if (value < ladder_user_tilt) {
+				decreaseLadderUserTilt(ladder_user_tilt - value);
+			} else {
+				increaseLadderUserTilt(value - ladder_user_tilt);
+			}
+		},
+		get extension() {
+			return ladder_user_extension;
+		},
+		set extension(value) {
+			ladder_user_extension = value;
+			update_ladder();
+		},
+		get extensionMode() {
+			return ladderExtensionMode;
+		},
+		set extensionMode(value) {
+			ladderExtensionMode = value;
+			update_ladder();
+		},
+		get reach() {
+			return ladder_reach().toFixed(2);
+		},
+		get tip() {
+			return ladder_tip()
+				.position.map((value) => value.toFixed(2))
+				.join(", ");
+		},
+		get reachEnvelope() {
+			return showReachEnvelope;
+		},
+		set reachEnvelope(value) {
+			if (value !== showReachEnvelope) toggle_reach_envelope();
+		},
+		get reachable() {
+			return solve_ladder(ladder_target()).reachable;
+		},
+		aimAtTarget: () => aim_ladder(ladder_target()),
+		aimAtSelection: () => {
+			const box = selectedNode?.getSubtreeAABB();
+			if (box) aim_ladder(mix(box.min, box.max, 0.5));
+		},
+
+		get headlights() {
+			return lightColor === CONSTANTS.COLORS.WHITE;
+		},
+		set headlights(value) {
+			if (value !== this.headlights) toggleLights();
+		},
+		get siren() {
+			return sirenOn;
+		},
+		set siren(value) {
+			if (value !== sirenOn) toggleSiren();
+		},
+		get blinkers() {
+			return blinkerOn;
+		},
+		set blinkers(value) {
+			if (value !== blinkerOn) toggleBlinker();
+		},
+
+		get pump() {
+			return pumpOn;
+		},
+		set pump(value) {
+			pumpOn = value;
+		},
+		// The slider turns the tap wheel, the pressure follows it
+		get pressure() {
+			return tapWheelPressure;
+		},
+		set pressure(value) {
+			turn_tap_wheel(value - tapWheelPressure);
+		},
+		get tankLevel() {
+			return tankLevel;
+		},
+		set tankLevel(value) {
+			tankLevel = value;
+			update_water_level();
+		},
+		refill: () => {
+			tankLevel = 1;
+			update_water_level();
+		},
+
+		get rolledUp() {
+			return isRollingUp;
+		},
+		set rolledUp(value) {
+			isRollingUp = value;
+		},
+
+		get outriggers() {
+			return outriggersDeployed;
+		},
+		set outriggers(value) {
+			if (value !== outriggersDeployed) toggle_outriggers();
+		},
+
+		get x() {
+			return truck_x;
+		},
+		set x(value) {
+			if (truck_locked()) return;
+			truck_x = value;
+			update_truck_position();
+		},
+		get z() {
+			return truck_z;
+		},
+		set z(value) {
+			if (truck_locked()) return;
+			truck_z = value;
+			update_truck_position();
+		},
+		get heading() {
+			return normalize_angle(truck_heading);
+		},
+		set heading(value) {
+			if (truck_locked()) return;
+			truck_heading = value;
+			update_truck_position();
+		},
+		get steering() {
+			return steering_angle;
+		},
+		set steering(value) {
+			steer(value - steering_angle);
+		},
+
+		gltf: () =>
+			download("firetruck.gltf", exportGLTF(truckNode), "model/gltf+json"),
+		glb: () =>
+			download("firetruck.glb", exportGLB(truckNode), "model/gltf-binary"),
+		json: () =>
+			download(
+				"firetruck.json",
+				JSON.stringify(truckNode, null, 2),
+				"application/json"
+			),
+		load: open_truck_file,
+
+		get chaseDistance() {
+			return chase_view.offset[0];
+		},
+		set chaseDistance(value) {
+			chase_view.offset = vec3(
+				value,
+				chase_view.offset[1],
+				chase_view.offset[2]
+			);
+		},
+		get chaseHeight() {
+			return chase_view.offset[1];
+		},
+		set chaseHeight(value) {
+			chase_view.offset = vec3(
+				chase_view.offset[0],
+				value,
+				chase_view.offset[2]
+			);
+		},
+		get chaseLag() {
+			return chase_view.lag;
+		},
+		set chaseLag(value) {
+			chase_view.lag = value;
+		},
+
+		get transitionDuration() {
+			return transitionDuration;
+		},
+		set transitionDuration(value) {
+			transitionDuration = value;
+		},
+
+		get bounds() {
+			return showBounds;
+		},
+		set bounds(value) {
+			showBounds = value;
+		},
+	};
+
+	// dat.gui hides itself with 'h', which already toggles the help panel
+	const gui = new GUI({ hideable: false });
+
+	const layoutFolder = gui.addFolder("Layout");
+	layoutFolder.add(controls, "layout", Object.keys(LAYOUTS)).listen();
+
+	// One camera picker per slot, only those of the current layout are shown
+	const slots = {};
+	const slotCount = Math.max(
+		...Object.values(LAYOUTS).map((slots) => slots.length)
+	);
+	for (let slot = 0; slot < slotCount; slot++) {
+		Object.defineProperty(slots, `view ${slot + 1}`, {
+			enumerable: true,
+			get: () => layoutCameras[layout][slot] ?? "",
+			set: (name) => show_camera(layout, slot, name),
+		});
+	}
+	slotControllers = Object.keys(slots).map((name) =>
+		layoutFolder.add(slots, name, Object.keys(cameras)).listen()
+	);
+	update_slot_controllers();
+	layoutFolder
+		.add(
+			controls,
+			"transitionDuration",
+			0,
+			CONSTANTS.MAX_CAMERA_TRANSITION_DURATION
+		)
+		.name("transition (s)");
+
+	const cameraFolder = gui.addFolder("Camera");
+	cameraFolder.add(controls, "perspective").listen();
+	cameraFolder.add(controls, "theta", -180, 180, 1).listen();
+	cameraFolder
+		.add(controls, "gamma", -CONSTANTS.MAX_GAMMA, CONSTANTS.MAX_GAMMA, 1)
+		.listen();
+	cameraFolder
+		.add(controls, "zoom", CONSTANTS.GUI_MIN_ZOOM, CONSTANTS.GUI_MAX_ZOOM)
+		.listen();
+	cameraFolder.add(controls, "reset").name("reset view");
+	cameraFolder.add(controls, "frameAll").name("frame all");
+	cameraFolder.add(controls, "frameSelection").name("frame selection");
+	cameraFolder.add(controls, "autoFit").name("auto-fit").listen();
+
+	const chaseFolder = cameraFolder.addFolder("Chase camera");
+	chaseFolder
+		.add(controls, "chaseDistance", 1, CONSTANTS.MAX_CHASE_CAMERA_DISTANCE)
+		.name("distance");
+	chaseFolder
+		.add(controls, "chaseHeight", 0, CONSTANTS.MAX_CHASE_CAMERA_DISTANCE)
+		.name("height");
+	chaseFolder
+		.add(controls, "chaseLag", 0, CONSTANTS.MAX_CHASE_CAMERA_LAG)
+		.name("lag (s)");
+
+	const ladderFolder = gui.addFolder("Ladder");
+	ladderFolder.add(controls, "angle", -180, 180, 1).listen();
+	ladderFolder
+		.add(
+			controls,
+			"tilt",
+			CONSTANTS.MIN_LADDER_USER_TILT,
+			CONSTANTS.MAX_LADDER_USER_TILT,
+			1
+		)
+		.listen();
+	ladderFolder.add(controls, "extension", 0, 1, 0.01).listen();
+	ladderFolder
+		.add(controls, "extensionMode", CONSTANTS.LADDER_EXTENSION_MODES)
+		.name("extension mode");
+	// Only show the reach and the tip, which follow from the other controls
+	["reach", "tip"].forEach((property) => {
+		const controller = ladderFolder.add(controls, property).listen();
+		controller.domElement.querySelector("input").disabled = true;
+	});
+	ladderFolder.add(controls, "reachEnvelope").name("reach envelope").listen();
+
+	const targetFolder = ladderFolder.addFolder("Target");
+	["x", "y", "z"].forEach((axis) => targetFolder.add(ladderTarget, axis));
+	targetFolder
+		.add(controls, "reachable")
+		.listen()
+		.domElement.querySelector("input").disabled = true;
+	targetFolder.add(controls, "aimAtTarget").name("aim at target");
+	targetFolder.add(controls, "aimAtSelection").name("aim at selection");
+
+	const lightsFolder = gui.addFolder("Lights");
+	lightsFolder.add(controls, "headlights").listen();
+	lightsFolder.add(controls, "siren").listen();
+	lightsFolder.add(controls, "blinkers").listen();
+
+	const doorFolder = gui.addFolder("Roll-up door");
+	doorFolder.add(controls, "rolledUp").name("rolled up").listen();
+
+	const outriggersFolder = gui.addFolder("Outriggers");
+	outriggersFolder.add(controls, "outriggers").name("deployed").listen();
+
+	const waterFolder = gui.addFolder("Water");
+	waterFolder.add(controls, "pump").listen();
+	waterFolder
+		.add(
+			controls,
+			"pressure",
+			CONSTANTS.MIN_PUMP_PRESSURE,
+			CONSTANTS.MAX_PUMP_PRESSURE,
+			0.1
+		)
+		.name("pressure (bar)")
+		.listen();
+	waterFolder
+		.add(controls, "tankLevel", 0, 1, 0.01)
+		.name("tank level")
+		.listen();
+	waterFolder.add(controls, "refill");
+
+	const floorSize = CONSTANTS.FLOOR_SQUARES_PER_SIDE;
+	const truckFolder = gui.addFolder("Truck");
+	truckFolder.add(controls, "x", -floorSize, floorSize, 0.1).listen();
+	truckFolder.add(controls, "z", -floorSize, floorSize, 0.1).listen();
+	truckFolder.add(controls, "heading", -180, 180, 1).listen();
+	truckFolder
+		.add(
+			controls,
+			"steering",
+			-CONSTANTS.MAX_STEERING_ANGLE,
+			CONSTANTS.MAX_STEERING_ANGLE,
+			1
+		)
+		.listen();
+
+	const exportFolder = gui.addFolder("Export");
+	exportFolder.add(controls, "gltf").name("glTF (.gltf)");
+	exportFolder.add(controls, "glb").name("glTF binary (.glb)");
+	exportFolder.add(controls, "json").name("scene graph (.json)");
+
+	const importFolder = gui.addFolder("Import");
+	importFolder.add(controls, "load").name("scene graph (.json)");
+
+	const debugFolder = gui.addFolder("Debug");
+	debugFolder.add(controls, "bounds").name("bounding boxes").listen();
+}
+
+/**
+ * Asks the user for a scene graph file written by the export and loads it as
+ * the truck.
+ */
+function open_truck_file() {
+	const input = document.createElement("input");
+	input.type = "file";
+	input.accept = ".json,application/json";
+
+	input.addEventListener("change", () => {
+		const [file] = input.files;
+		if (!file) return;
+
+		file
+			.text()
+			.then(load_truck)
+			.catch((error) => alert(`Could not load ${file.name}: ${error.message}`));
+	});
+	input.click();
+}
+
+/**
+ * Replaces the truck with one described by a scene graph JSON document.
+ *
+ * The controls find the nodes they move by name, so the document can describe
+ * another vehicle as long as it has the nodes named "ladder", "ladders",
+ * "top_ladder" and "siren". The truck lights follow the nodes of the same name
+ * and the cab and ladder cameras follow the "cab_eye" and "ladder_tip" nodes.
+ *
+ * @param {string} json - The JSON document written by JSON.stringify(truckNode).
+ * @throws {Error} If the document is not a valid scene graph.
+ */
+function load_truck(json) {
+	const truck = Node.fromJSON(JSON.parse(json));
+	bind_truck_nodes(truck);
+
+	lights
+		.filter((light) => light.node)
+		.forEach((light) => (light.node = truck.find(light.node.name) ?? truck));
+
+	const selectedPath = selectedNode?.getPath();
+	truckNode.setParent(null);
+	truckNode = truck;
+	truckNode.setParent(sceneRoot);
+	attach_cameras(truckNode);
+	reselect_node(selectedPath);
+
+	truckNode.traverse((node) => {
+		if (node.drawInfo && !node.drawInfo.fixedMode) {
+			node.drawInfo.currentMode = currentMode;
+		}
+	});
+
+	update_truck_position();
+	update_ladder();
+	update_roll_up();
+	update_water_level();
+	update_tap_wheel();
+	update_outriggers();
+	update_blinker_color();
+	headlightGlassNodes.forEach((node) => (node.drawInfo.color = lightColor));
+	sirenNode.drawInfo.color = sirenColor;
+}
+
+/**
+ * Points the controls at the nodes of the given truck, looking them up by name.
+ *
+ * Every node is looked up and checked before any control is pointed at it, so
+ * a truck that cannot be bound leaves the current one in place.
+ *
+ * @param {Node} truck - The root of the truck.
+ * @throws {Error} If the truck lacks one of the nodes the controls need, or
+ *  one of the nodes whose color they change draws nothing.
+ */
+function bind_truck_nodes(truck) {
+	const [ladder, ladders, , siren] = [
+		"ladder",
+		"ladders",
+		"top_ladder",
+		"siren",
+	].map((name) => {
+		const node = truck.find(name);
+		if (!node) throw new Error(`The truck has no node named "${name}"`);
+		return node;
+	});
+
+	const named = (predicate) => truck.findAll((node) => predicate(node.name));
+
+	const spins = named((name) => name === "spin");
+	// Documents from before the ladder had more sections only have the top one
+	const sections = named(
+		(name) => name.startsWith("middle_ladder_") || name === "top_ladder"
+	);
+	// The offset of a steered wheel is the translation of its wheel node
+	const steers = named((name) => name === "steer").map((node) => ({
+		node,
+		offset: node.parent.localMatrix[1][3],
+	}));
+	const blinkers = named((name) => name.endsWith("_blinker"));
+	const outriggers = named((name) => name.endsWith("_outrigger")).map(
+		(node) => ({
+			beam: node.find("outrigger_beam"),
+			leg: node.find("outrigger_leg"),
+			foot: node.find("outrigger_foot"),
+		})
+	);
+	const glasses = named((name) => name.endsWith("_headlight"))
+		.map((node) => node.findNamedChild("glass"))
+		.filter((node) => node);
+	const windows = named((name) => name.endsWith("_roll_up_door")).map((door) =>
+		door.findAll((node) => node.name.startsWith("slat_"))
+	);
+
+	// Their colors change with the siren, the blinkers and the headlights
+	[siren, ...blinkers, ...glasses].forEach((node) => {
+		if (!node.drawInfo) {
+			throw new Error(`The node "${node.getPath()}" draws nothing`);
+		}
+	});
+
+	ladderRotationNode = ladder;
+	ladderTiltNode = ladders;
+	sirenNode = siren;
+	waterNode = truck.find("water");
+	tapWheelNode = truck.find("tap_wheel");
+
+	const replace = (nodes, found) => nodes.splice(0, nodes.length, ...found);
+	replace(wheelSpinNodes, spins);
+	replace(ladderSectionNodes, sections);
+	replace(wheelSteerNodes, steers);
+	replace(blinkerNodes, blinkers);
+	replace(outriggerNodes, outriggers);
+	replace(headlightGlassNodes, glasses);
+	replace(windowCubeNodes, windows);
+}
+
+/**
+ * Makes the browser download the given data as a file.
+ *
+ * @param {string} filename - The name of the file.
+ * @param {string|ArrayBuffer} data - The contents of the file.
+ * @param {string} type - The media type of the file.
+ */
+function download(filename, data, type) {
+	const url = URL.createObjectURL(new Blob([data], { type }));
+
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = filename;
+	link.click();
+
+	URL.revokeObjectURL(url);
+}
+
+/**
+ * Wraps an angle to the range [-180, 180[.
+ *
+ * @param {number} angle - The angle in degrees.
+ * @returns {number} The same angle in the range [-180, 180[.
+ */
+function normalize_angle(angle) {
+	return ((((angle + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * Recomputes the truck dimensions from the given configuration and rebuilds
+ * the truck with them.
+ *
+ * @param {import("./truckConfig.js").TruckConfig} config - A validated truck configuration.
+ */
+function apply_truck_config(config) {
+	truckConfig = config;
+	CONSTANTS.applyTruckConfig(config);
+	rebuild_truck();
+}
+
+/**
+ * Throws the truck subtree away and builds it again from the current
+ * dimensions, keeping the state of the controls (position, ladder, lights...).
+ */
+function rebuild_truck() {
+	const selectedPath = selectedNode?.getPath();
+	truckNode.setParent(null);
+
+	[
+		wheelSpinNodes,
+		wheelSteerNodes,
+		blinkerNodes,
+		headlightGlassNodes,
+		windowCubeNodes,
+		ladderSectionNodes,
+		outriggerNodes,
+	].forEach((nodes) => (nodes.length = 0));
+
+	// The lights attached to the old truck go away with it
+	const truckLights = [...headlightLights, sirenLight];
+	lights.splice(
+		0,
+		lights.length,
+		...lights.filter((light) => !truckLights.includes(light))
+	);
+	headlightLights.length = 0;
+
+	draw_truck(sceneRoot);
+
+	sirenLight.enabled = sirenOn;
+	update_roll_up();
+	reselect_node(selectedPath);
+}
+
+/**
+ * Toggles the visibility of the help panel.
+ *
+ * This function finds the div with the id 'help_panel' and toggles its display
+ * property between 'none' and 'block'.
+ */
+function toggleHelpPanel() {
+	const helpPanel = document.getElementById("help_panel");
+	if (helpPanel) {
+		helpPanel.style.display =
+			helpPanel.style.display === "none" ? "block" : "none";
+	}
+}
+
+/**
+ * Handles mouse wheel events to adjust the zoom level.
+ *
+ * Only the view under the mouse is zoomed: scrolling up zooms in, and
+ * scrolling down zooms out. The zoom is anchored at the cursor, so the point
+ * under it stays put.
+ *
+ * @param {WheelEvent} event - The mouse wheel event object.
+ */
+function handle_wheel(event) {
+	const view = get_view_at(event);
+	if (!view) return;
+
+	const { camera, viewport, ndcX, ndcY } = view;
+	const factor = 1 + event.deltaY / 1000;
+	focusedCamera = camera;
+	const { right, up } = camera.axes();
+	const viewportAspect = viewport.width / viewport.height;
+
+	// The point under the cursor is target + (right * x * aspect + up * y) * zoom
+	const offset = add(scale(ndcX * viewportAspect, right), scale(ndcY, up));
+	camera.pan(scale(camera.zoom * (1 - factor), offset));
+	camera.zoom *= factor;
+}
+
+/**
+ * Returns the viewports of the current layout, each with the camera it shows.
+ *
+ * @returns {{camera: Camera, transition: CameraTransition|undefined, x: number, y: number, width: number, height: number}[]}
+ *  The viewports in canvas pixels, with the origin at the bottom left as in
+ *  gl.viewport, in drawing order. The mouse controls the camera, while the
+ *  transition (if any) is what is drawn until it reaches that camera.
+ */
+function get_viewports() {
+	const width = canvas.width;
+	const height = canvas.height;
+
+	return LAYOUTS[layout].map((slot, index) => ({
+		camera: cameras[layoutCameras[layout][index]],
+		transition: transitions.get(index),
+		x: slot.x * width,
+		y: slot.y * height,
+		width: slot.width * width,
+		height: slot.height * height,
+	}));
+}
+
+/**
+ * Returns the viewport under the mouse and where the mouse is in it.
+ *
+ * @param {MouseEvent} event - The mouse event with the cursor position.
+ * @returns {{camera: Camera, viewport: Object, ndcX: number, ndcY: number, pixelHeight: number}|null}
+ *  The camera and the viewport (see get_viewports), the cursor position from
+ *  -1 to 1 across the viewport and the height of the viewport in CSS pixels;
+ *  null if the mouse is outside of the canvas.
+ */
+function get_view_at(event) {
+	const rect = canvas.getBoundingClientRect();
+	const scaleY = canvas.height / rect.height;
+	// Canvas pixels, with the origin at the bottom left like the viewports
+	const x = ((event.clientX - rect.left) * canvas.width) / rect.width;
+	const y = (rect.bottom - event.clientY) * scaleY;
+
+	// The viewports drawn last are on top
+	const viewport = get_viewports()
+		.reverse()
+		.find(
+			(viewport) =>
+				x >= viewport.x &&
+				x <= viewport.x + viewport.width &&
+				y >= viewport.y &&
+				y <= viewport.y + viewport.height
+		);
+	if (!viewport) return null;
+
+	return {
+		camera: viewport.camera,
+		viewport,
+		ndcX: (2 * (x - viewport.x)) / viewport.width - 1,
+		ndcY: (2 * (y - viewport.y)) / viewport.height - 1,
+		pixelHeight: viewport.height / scaleY,
+	};
+}
+
+/**
+ * Returns the aspect ratio a camera is drawn with.
+ *
+ * @param {Camera} camera - The camera.
+ * @returns {number} Width over height of its viewport, or of the canvas if it is not shown.
+ */
+function get_camera_aspect(camera) {
+	const viewport = get_viewports().find(
+		(viewport) => viewport.camera === camera
+	);
+	return viewport
+		? viewport.width / viewport.height
+		: canvas.width / canvas.height;
+}
+
+/**
+ * Starts orbiting (left button) or panning (right button or shift) the view
+ * the mouse is pressed over, and remembers where the left button went down so
+ * that releasing it in place selects a part. Views with a fixed direction are
+ * panned with any button. Dragging the tap wheel with the left button turns it
+ * instead.
+ *
+ * @param {MouseEvent} event - The mouse event object.
+ */
+function handle_mouse_down(event) {
+	if (event.button === 0) press = { x: event.clientX, y: event.clientY };
+
+	const view = get_view_at(event);
+	if (!view) return;
+
+	focusedCamera = view.camera;
+	if (
+		event.button === 0 &&
+		tapWheelNode &&
+		is_in_subtree(pick_at(view)?.node, tapWheelNode)
+	) {
+		drag = { mode: "tap_wheel", x: event.clientX, y: event.clientY };
+		return;
+	}
+
+	const pan = event.button === 2 || event.shiftKey || !view.camera.orbit;
+	drag = {
+		mode: pan ? "pan" : "orbit",
+		camera: view.camera,
+		x: event.clientX,
+		y: event.clientY,
+		height: view.pixelHeight,
+	};
 }
 
 /**
- * Toggles the view mode between showing all views and showing a single view.
+ * Orbits or pans the dragged view.
  *
- * This function switches the `all_views` variable between true and false,
- * determining whether all views are displayed or just one.
+ * @param {MouseEvent} event - The mouse event object.
  */
-function toggle_view_mode() {
-	all_views = !all_views;
+function handle_mouse_move(event) {
+	if (!drag) return;
+
+	const dx = event.clientX - drag.x;
+	const dy = event.clientY - drag.y;
+	drag.x = event.clientX;
+	drag.y = event.clientY;
+
+	if (drag.mode === "tap_wheel") {
+		// Dragging right or up opens the tap
+		turn_tap_wheel((dx - dy) * CONSTANTS.TAP_WHEEL_DRAG_SENSITIVITY);
+	} else if (drag.mode === "orbit") {
+		orbit_camera(
+			drag.camera,
+			dx * CONSTANTS.ORBIT_SENSITIVITY,
+			dy * CONSTANTS.ORBIT_SENSITIVITY
+		);
+	} else {
+		pan_view(drag.camera, dx, dy, drag.height);
+	}
 }
 
-function resize() {
-	canvas.height = window.innerHeight;
-	canvas.width = window.innerWidth;
+/**
+ * Ends the current drag, or selects the part under the mouse if the left
+ * button was released (almost) where it was pressed.
+ *
+ * @param {MouseEvent} event - The mouse event object.
+ */
+function handle_mouse_up(event) {
+	drag = null;
 
-	aspect = window.innerWidth / window.innerHeight;
-}
+	if (event.button !== 0 || !press) return;
 
-function initialize_objects() {
-	CUBE.init(gl);
-	SPHERE.init(gl);
-	CYLINDER.init(gl);
-	PYRAMID.init(gl);
-	TORUS.init(gl, 30, 30, 0.8, 0.2);
+	const moved = Math.hypot(event.clientX - press.x, event.clientY - press.y);
+	press = null;
+	if (moved <= CONSTANTS.CLICK_TOLERANCE) click_select(event);
 }
 
 /**
- * Handles key down events and performs corresponding actions.
+ * Selects the part of the truck under the mouse.
  *
- * This function maps specific keys to actions such as toggling view modes,
- * adjusting angles, resetting zoom, and translating the truck. When a key
- * is pressed, the corresponding action is executed.
+ * Clicking a part already in the selection selects the part that contains
+ * it, so repeated clicks climb the hierarchy (e.g. a step, the steps, the top
+ * ladder, the ladders...). Clicking the background clears the selection.
  *
- * @param {KeyboardEvent} event - The keyboard event object.
+ * @param {MouseEvent} event - The mouse event with the cursor position.
  */
-function handle_key_down(event) {
-	const actions = {
-		0: toggle_view_mode,
-		1: () => set_big_view(front_view),
-		2: () => set_big_view(left_view),
-		3: () => set_big_view(top_view),
-		4: () => set_big_view(axo_view),
-		" ": () => toggle_render_mode(),
-		ArrowRight: () => adjust_theta(CONSTANTS.ANGLE_INCREMENT),
-		ArrowLeft: () => adjust_theta(-CONSTANTS.ANGLE_INCREMENT),
-		ArrowUp: () => adjust_gamma(CONSTANTS.ANGLE_INCREMENT),
-		ArrowDown: () => adjust_gamma(-CONSTANTS.ANGLE_INCREMENT),
-		r: () => reset_zoom(),
-		a: () => {
-			calculate_wheel_rotation(
-				(translation -= CONSTANTS.TRANSLATION_INCREMENT)
-			);
-		},
-		d: () => {
-			calculate_wheel_rotation(
-				(translation += CONSTANTS.TRANSLATION_INCREMENT)
-			);
-		},
-		c: () => toggleLights(),
-		x: toggleSiren,
-		i: toggleBlinker,
-		z: () => (isRollingUp = !isRollingUp),
-		o: increaseLadderUserOffset,
-		p: decreaseLadderUserOffset,
-		q: increaseLadderUserAngle,
-		e: decreaseLadderUserAngle,
-		w: decreaseLadderUserTilt,
-		s: increaseLadderUserTilt,
-		h: toggleHelpPanel,
-	};
-	if (actions[event.key]) actions[event.key]();
+function click_select(event) {
+	const view = get_view_at(event);
+	if (!view) return;
+
+	const hit = pick_at(view);
+	if (!hit) {
+		select_node(null);
+		return;
+	}
+
+	let node = hit.node;
+	if (
+		selectedNode &&
+		selectedNode !== truckNode &&
+		is_in_subtree(node, selectedNode)
+	) {
+		node = selectedNode.parent;
+		while (!node.name) node = node.parent;
+	}
+	select_node(node);
 }
 
 /**
- * Toggles the visibility of the help panel.
+ * Returns the part of the truck under the mouse in a view.
  *
- * This function finds the div with the id 'help_panel' and toggles its display
- * property between 'none' and 'block'.
+ * @param {Object} view - The view under the mouse, as returned by get_view_at.
+ * @returns {import("./picking.js").PickResult|null} The nearest part hit, or null if none.
  */
-function toggleHelpPanel() {
-	const helpPanel = document.getElementById("help_panel");
-	if (helpPanel) {
-		helpPanel.style.display =
-			helpPanel.style.display === "none" ? "block" : "none";
+function pick_at(view) {
+	const { camera, viewport, ndcX, ndcY } = view;
+	const ray = pickRay(
+		camera.projectionMatrix(viewport.width / viewport.height),
+		camera.viewMatrix(),
+		ndcX,
+		ndcY
+	);
+	return pick(truckNode, ray);
+}
+
+/**
+ * Tells whether a node is the given ancestor or one of its descendants.
+ *
+ * @param {Node} node - The node to test.
+ * @param {Node} ancestor - The root of the subtree.
+ * @returns {boolean} Whether the node is in the subtree.
+ */
+function is_in_subtree(node, ancestor) {
+	for (; node; node = node.parent) {
+		if (node === ancestor) return true;
 	}
+	return false;
 }
 
 /**
- * Handles mouse wheel events to adjust the zoom level.
+ * Selects a node, highlighting it along with its subtree, and shows its path
+ * on the overlay.
  *
- * This function modifies the zoom level based on the mouse wheel delta.
- * Scrolling up zooms in, and scrolling down zooms out.
+ * @param {Node|null} node - The node to select, null to clear the selection.
+ */
+function select_node(node) {
+	if (selectedNode) selectedNode.highlighted = false;
+
+	selectedNode = node;
+	if (selectedNode) selectedNode.highlighted = true;
+
+	document.getElementById("overlay").textContent = selectedNode
+		? selectedNode.getPath()
+		: "";
+}
+
+/**
+ * Selects the node at the given path again after the truck was replaced, if
+ * the new truck still has it.
  *
- * @param {WheelEvent} event - The mouse wheel event object.
+ * @param {string|undefined} path - The path of the node selected before.
  */
-function handle_wheel(event) {
-	zoom *= 1 + event.deltaY / 1000;
+function reselect_node(path) {
+	select_node(path ? sceneRoot.findPath(path) : null);
+}
+
+/**
+ * Moves a view so the scene follows the mouse.
+ *
+ * @param {Camera} camera - The camera of the view.
+ * @param {number} dx - Horizontal mouse movement in pixels.
+ * @param {number} dy - Vertical mouse movement in pixels.
+ * @param {number} viewportHeight - Height of the viewport in pixels.
+ */
+function pan_view(camera, dx, dy, viewportHeight) {
+	const { right, up } = camera.axes();
+	const unitsPerPixel = (2 * camera.zoom) / viewportHeight;
+
+	camera.pan(
+		subtract(scale(dy * unitsPerPixel, up), scale(dx * unitsPerPixel, right))
+	);
 }
 
 function main(shaders) {
@@ -209,10 +1515,22 @@ function main(shaders) {
 
 	resize();
 	window.addEventListener("keydown", handle_key_down);
+	window.addEventListener("keyup", handle_key_up);
+	// Keys released while the window is not focused never get a keyup
+	window.addEventListener("blur", () => heldKeys.clear());
 	window.addEventListener("resize", resize);
 	window.addEventListener("wheel", handle_wheel);
+	canvas.addEventListener("mousedown", handle_mouse_down);
+	window.addEventListener("mousemove", handle_mouse_move);
+	window.addEventListener("mouseup", handle_mouse_up);
+	canvas.addEventListener("contextmenu", (event) => event.preventDefault());
 
+	load_layout();
 	initialize_objects();
+	build_lights();
+	build_scene();
+	setup_config_panel();
+	setup_gui();
 
 	// This is needed to let wireframe lines to be visible on top of shaded triangles
 	gl.enable(gl.POLYGON_OFFSET_FILL);
@@ -221,56 +1539,164 @@ function main(shaders) {
 	window.requestAnimationFrame(render);
 }
 
-function draw_scene(view) {
+/**
+ * Creates the lights of the scene: a sun and an overhead lamp.
+ */
+function build_lights() {
+	lights.push(
+		createDirectionalLight(CONSTANTS.SUN_DIRECTION, CONSTANTS.SUN_INTENSITIES),
+		createPointLight(CONSTANTS.LAMP_POSITION, CONSTANTS.LAMP_INTENSITIES)
+	);
+}
+
+/**
+ * Builds the scene graph (floor and truck) once.
+ *
+ * The nodes created here live for the whole session; the controls mutate
+ * them instead of rebuilding the hierarchy every frame.
+ */
+function build_scene() {
+	sceneRoot = new Node("scene");
+
+	draw_floor(sceneRoot);
+	draw_truck(sceneRoot);
+
+	update_roll_up();
+
+	// Not part of the scene, only drawn by the debug overlay
+	boundsNode = new Node("bounds");
+	boundsNode.drawInfo = {
+		primitive: CUBE,
+		color: CONSTANTS.COLORS.GREEN,
+		currentMode: gl.LINES,
+		fixedMode: true,
+		outline: false,
+	};
+
+	// Not part of the scene either, drawn once for each drop of the water jet
+	dropNode = new Node("drop");
+	dropNode.drawInfo = {
+		primitive: SPHERE,
+		color: CONSTANTS.COLORS.LIGHT_BLUE,
+		currentMode: gl.TRIANGLES,
+		fixedMode: true,
+		outline: false,
+	};
+}
+
+/**
+ * Draws the scene as seen by the given camera on the current viewport.
+ *
+ * @param {Camera} camera - The camera to draw the scene from.
+ * @param {number} aspect - Width over height of the viewport.
+ */
+function draw_scene(camera, aspect) {
 	gl.useProgram(program);
 
-	projection = ortho(-aspect * zoom, aspect * zoom, -zoom, zoom, -100, 100);
+	projection = camera.projectionMatrix(aspect);
 	updateProjection(gl, program, projection);
 
-	loadMatrix(view);
+	const view = camera.viewMatrix();
 
-	const rootNode = new Node();
-	rootNode.localMatrix = modelView();
+	gl.uniform1i(
+		gl.getUniformLocation(program, "u_perspective"),
+		camera.isPerspective
+	);
+	uploadLights(gl, program, lights, view);
 
-	draw_floor(rootNode);
-	draw_truck(rootNode);
+	sceneRoot.draw(gl, program, view);
+	draw_water_jet(view);
 
-	rootNode.updateWorldMatrix();
-	rootNode.draw(gl, program);
+	if (showBounds) draw_bounding_boxes(view);
 }
 
-function draw_views() {
-	let hw = canvas.width / 2;
-	let hh = canvas.height / 2;
+/**
+ * Draws the debug overlay: the world bounding box of every visible part of
+ * the truck, and the box enclosing the selection (the whole truck if nothing
+ * is selected).
+ *
+ * @param {mat4} view - The view matrix of the camera.
+ */
+function draw_bounding_boxes(view) {
+	const drawParts = (node) => {
+		if (!node.visible) return;
+
+		const box = node.getWorldAABB();
+		if (box) draw_bounding_box(box, CONSTANTS.COLORS.GREEN, view);
+		node.children.forEach(drawParts);
+	};
+	drawParts(truckNode);
 
-	if (all_views) {
-		// Draw on front view
-		gl.viewport(0, hh, hw, hh);
-		draw_scene(front_view);
+	const selection = (selectedNode ?? truckNode).getSubtreeAABB();
+	if (selection) draw_bounding_box(selection, CONSTANTS.COLORS.WHITE, view);
+}
 
-		// Draw on top view
-		gl.viewport(0, 0, hw, hh);
-		draw_scene(top_view);
+/**
+ * Draws a bounding box as a wireframe.
+ *
+ * @param {import("./graphNode.js").AABB} box - The box, in world coordinates.
+ * @param {number[]} color - The color of the lines.
+ * @param {mat4} view - The view matrix of the camera.
+ */
+function draw_bounding_box(box, color, view) {
+	// Flat boxes keep a thickness so their normal matrix can be inverted
+	const size = box.max.map((max, axis) =>
+		Math.max(max - box.min[axis], CONSTANTS.MIN_BOUNDS_SIZE)
+	);
 
-		// Draw on left view
-		gl.viewport(hw, hh, hw, hh);
-		draw_scene(left_view);
+	boundsNode.resetTransform();
+	boundsNode.scale(...size);
+	boundsNode.translate(...mix(box.min, box.max, 0.5));
+	boundsNode.updateWorldMatrix();
 
-		// Draw of 4th view
-		gl.viewport(hw, 0, hw, hh);
-		draw_scene(axo_view);
-	} else {
-		gl.viewport(0, 0, canvas.width, canvas.height);
-		draw_scene(big_view);
-	}
+	boundsNode.drawInfo.color = color;
+	boundsNode.draw(gl, program, view);
+}
+
+/**
+ * Draws each viewport of the current layout with its camera.
+ */
+function draw_views() {
+	gl.enable(gl.SCISSOR_TEST);
+
+	get_viewports().forEach(({ camera, transition, x, y, width, height }) => {
+		gl.viewport(x, y, width, height);
+		// Viewports drawn over others (picture in picture) start from scratch
+		gl.scissor(x, y, width, height);
+		gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+		draw_scene(transition ?? camera, width / height);
+	});
+
+	gl.disable(gl.SCISSOR_TEST);
 }
 
-function render() {
+/**
+ * Advances the clock, animates the scene by the elapsed time and draws it.
+ *
+ * @param {number} now - The current time in milliseconds.
+ */
+function render(now) {
 	window.requestAnimationFrame(render);
-	animateRollUp();
 
-	gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+	const dt = clock.tick(now);
+	update_held_keys(dt);
+	animateRollUp(dt);
+	animateSiren(dt);
+	animateBlinker(dt);
+	animateTapWheel(dt);
+	animateOutriggers(dt);
+	animateWaterJet(dt);
+	sceneRoot.updateWorldMatrix();
+	update_follow_cameras(dt);
+	// The truck and its ladder may have moved
+	if (showReachEnvelope) update_reach_envelope();
+	if (autoFit) frame_node(selectedNode ?? truckNode);
+	// Transitions go on while the animation is paused
+	update_transitions(clock.realDelta);
+
 	draw_views();
+	update_hud();
 }
 
 loadShadersFromURLS(["shader.vert", "shader.frag"]).then((shaders) =>
@@ -278,116 +1704,136 @@ loadShadersFromURLS(["shader.vert", "shader.frag"]).then((shaders) =>
 );
 
 /**
- * Calculate the axonometric view matrix based on the given theta and gamma angles.
+ * Set the big view, the camera shown by the single view layout.
  *
- * @param {number} theta - The angle in degrees.
- * @param {number} gamma - The angle in degrees.
- * @returns {mat4} The axonometric view matrix.
+ * @param {string} name - The name of the camera to show.
  */
-function calculateAxoView(theta, gamma) {
-	return lookAt(
-		vec3(
-			DIST *
-				Math.cos((theta * Math.PI) / 180) *
-				Math.cos((gamma * Math.PI) / 180),
-			DIST * Math.sin((gamma * Math.PI) / 180) + CONSTANTS.CAMERA_OFFSET,
-			DIST *
-				Math.sin((theta * Math.PI) / 180) *
-				Math.cos((gamma * Math.PI) / 180)
-		),
-		vec3(0, CONSTANTS.CAMERA_OFFSET, 0),
-		vec3(0, 1, 0)
-	);
+function set_big_view(name) {
+	show_camera(SINGLE_LAYOUT, 0, name);
 }
 
 /**
- * Set the big view to the given view.
- *
- * @param {mat4} view - The view to set as the big view.
+ * Toggle the render mode between wireframe (LINES) and solid (TRIANGLES).
  */
-function set_big_view(view) {
-	big_view = view;
+function toggle_render_mode() {
+	currentMode = currentMode === gl.TRIANGLES ? gl.LINES : gl.TRIANGLES;
+
+	sceneRoot.traverse((node) => {
+		if (node.drawInfo && !node.drawInfo.fixedMode) {
+			node.drawInfo.currentMode = currentMode;
+		}
+	});
 }
 
 /**
- * Toggle the render mode between wireframe (LINES) and solid (TRIANGLES).
+ * Toggle the projection of the active camera between orthographic and perspective.
  */
-function toggle_render_mode() {
-	currentMode = currentMode === gl.TRIANGLES ? gl.LINES : gl.TRIANGLES;
+function toggle_projection() {
+	active_camera().toggleProjection();
 }
 
 /**
- * Update the axonometric view based on the current theta and gamma angles.
+ * Returns the camera the keyboard controls: the view last used with the
+ * mouse if it is shown, otherwise the first orbiting view (the axonometric
+ * one in the four-view layout) or the first view.
+ *
+ * @returns {Camera} The camera.
  */
-function update_axo_view() {
-	const newAxoView = calculateAxoView(theta, gamma);
-	if (all_views) {
-		axo_view = newAxoView;
-	} else if (can_update_axo_view()) {
-		axo_view = newAxoView;
-		big_view = axo_view;
-	}
+function active_camera() {
+	const shown = get_viewports().map((viewport) => viewport.camera);
+
+	if (shown.includes(focusedCamera)) return focusedCamera;
+	return shown.find((camera) => camera.orbit) ?? shown[0];
 }
 
 /**
- * Determine if the axonometric view can be updated.
+ * Orbits a camera around its target. Cameras with a fixed direction do not move.
+ *
+ * The elevation is kept within MAX_GAMMA so the camera never flips over its
+ * up vector.
  *
- * @returns {boolean} True if the axo view can be updated (if all views are
- *  shown or if the axo view is the big view), false otherwise.
+ * @param {Camera} camera - The camera to orbit.
+ * @param {number} deltaTheta - Degrees to turn around the vertical axis.
+ * @param {number} deltaGamma - Degrees to raise the camera by.
  */
-function can_update_axo_view() {
-	return (
-		all_views ||
-		(big_view !== front_view && big_view !== left_view && big_view !== top_view)
+function orbit_camera(camera, deltaTheta, deltaGamma) {
+	if (!camera.orbit) return;
+
+	const { theta, gamma, distance } = camera.orbit;
+	camera.setOrbit(
+		theta + deltaTheta,
+		Math.min(
+			Math.max(gamma + deltaGamma, -CONSTANTS.MAX_GAMMA),
+			CONSTANTS.MAX_GAMMA
+		),
+		distance
 	);
 }
 
 /**
- * Adjust theta by the given delta.
+ * Adjust theta of the active camera by the given delta.
  *
  * @param {number} delta - The amount to adjust theta by.
  */
 function adjust_theta(delta) {
-	if (can_update_axo_view()) {
-		theta += delta;
-	}
-	update_axo_view();
+	orbit_camera(active_camera(), delta, 0);
 }
 
 /**
- * Adjusts the gamma value by the given delta.
- *
- * This function increases or decreases the gamma value by the specified delta
- * if the axonometric view can be updated. After adjusting the gamma value,
- * it updates the axonometric view.
+ * Adjusts gamma of the active camera by the given delta.
  *
  * @param {number} delta - The amount to adjust gamma by.
  */
 function adjust_gamma(delta) {
-	if (can_update_axo_view()) {
-		gamma += delta;
-	}
-	update_axo_view();
+	orbit_camera(active_camera(), 0, delta);
+}
+
+/**
+ * Resets the zoom and the pan of every view.
+ */
+function reset_views() {
+	Object.values(cameras).forEach((camera) => camera.reset());
 }
 
 /**
- * Resets the zoom level to the default value.
+ * Frames a node and its subtree in each view, except for the cameras that
+ * follow a node and stay where they are mounted.
+ *
+ * Every view is centered on the subtree and gets the smallest zoom that shows
+ * all of it, for its own direction, projection and viewport.
  *
- * This function sets the zoom variable to the default zoom value defined in the constants.
+ * @param {Node} node - The node to frame.
  */
-function reset_zoom() {
-	zoom = CONSTANTS.DEFAULT_ZOOM;
+function frame_node(node) {
+	sceneRoot.updateWorldMatrix();
+
+	const box = node.getSubtreeAABB();
+	if (!box) return;
+
+	const center = mix(box.min, box.max, 0.5);
+	Object.values(cameras).forEach((camera) => {
+		if (camera instanceof FollowCamera) return;
+
+		camera.pan(subtract(center, camera.at));
+		camera.zoom = Math.max(
+			camera.zoomToFit(box, get_camera_aspect(camera), CONSTANTS.FRAME_MARGIN),
+			CONSTANTS.MIN_FRAME_ZOOM
+		);
+	});
 }
 
 /**
  * Creates and draws the floor of the scene.
  *
  * This function creates a grid of square nodes, translates and scales each square,
- * sets its drawing information, and attaches it to the parent node.
+ * sets its drawing information, and groups them under a "floor" node attached
+ * to the parent node.
  *
  * @param {Node} parent - The root node to which the floor squares will be attached.
  */
 function draw_floor(parent) {
+	const floorNode = new Node("floor");
+
 	for (
 		let i = -CONSTANTS.FLOOR_SQUARES_PER_SIDE;
 		i <= CONSTANTS.FLOOR_SQUARES_PER_SIDE;
@@ -398,7 +1844,7 @@ function draw_floor(parent) {
 			j <= CONSTANTS.FLOOR_SQUARES_PER_SIDE;
 			j++
 		) {
-			const squareNode = new Node(); // Clone the square node
+			const squareNode = new Node(`square_${i}_${j}`);
 			squareNode.translate(i, 0, j);
 			squareNode.scale(1, CONSTANTS.FLOOR_HEIGHT, 1);
 			squareNode.drawInfo = {
@@ -406,10 +1852,14 @@ function draw_floor(parent) {
 				currentMode: currentMode,
 				color:
 					(i + j) % 2 === 0 ? CONSTANTS.COLORS.BLACK : CONSTANTS.COLORS.GREY,
+				material: CONSTANTS.MATERIALS.FLOOR,
 			};
-			squareNode.setParent(parent);
+			squareNode.setParent(floorNode);
+			floorSquares.push({ node: squareNode, color: squareNode.drawInfo.color });
 		}
 	}
+
+	floorNode.setParent(parent);
 }
 
 /**
@@ -421,9 +1871,9 @@ function draw_floor(parent) {
  * @param {Node} parent - The root node to which the truck will be attached.
  */
 function draw_truck(parent) {
-	const truckNode = new Node();
+	truckNode = new Node("truck");
 
-	truckNode.translate(translation, CONSTANTS.TRUCK_OFFSET, 0);
+	update_truck_position();
 
 	draw_wheels(truckNode);
 	setup_under_body(truckNode);
@@ -432,6 +1882,130 @@ function draw_truck(parent) {
 	setup_ladder(truckNode);
 
 	truckNode.setParent(parent);
+	attach_cameras(truckNode);
+}
+
+/**
+ * Attaches the cameras that follow the truck to a new truck.
+ *
+ * @param {Node} truck - The truck node.
+ */
+function attach_cameras(truck) {
+	chase_view.attach(truck);
+	cab_view.attach(truck.find("cab_eye") ?? truck);
+	ladder_view.attach(truck.find("ladder_tip") ?? truck);
+}
+
+/**
+ * Moves the cameras that follow a node with it.
+ *
+ * @param {number} dt - The time elapsed since the last frame, in seconds.
+ */
+function update_follow_cameras(dt) {
+	Object.values(cameras)
+		.filter((camera) => camera instanceof FollowCamera)
+		.forEach((camera) => camera.update(dt));
+}
+
+/**
+ * Places and orients the truck node, spins the wheels according to the current
+ * translation and turns the front wheels according to the steering angle.
+ */
+function update_truck_position() {
+	truckNode.resetTransform();
+	truckNode.rotateY(truck_heading);
+	truckNode.translate(truck_x, CONSTANTS.TRUCK_OFFSET, truck_z);
+
+	wheelSpinNodes.forEach((wheelSpinNode) => {
+		wheelSpinNode.resetTransform();
+		wheelSpinNode.rotateY(wheelRotation);
+	});
+
+	wheelSteerNodes.forEach(({ node, offset }) => {
+		node.resetTransform();
+		// The axle frame is rotated 90 degrees around X: its -Z is the truck's up
+		node.rotateZ(-calculate_ackermann_angle(offset));
+	});
+}
+
+/**
+ * Calculates the yaw of a front wheel with Ackermann steering geometry.
+ *
+ * All wheels turn around a common center on the line of the back axle, so the
+ * inner wheel turns more than the outer one. The steering angle is the one of a
+ * virtual wheel in the middle of the front axle (the bicycle model).
+ *
+ * @param {number} offset - The offset of the wheel along Z from the middle of the axle.
+ * @returns {number} The yaw of the wheel around Y, in degrees.
+ */
+function calculate_ackermann_angle(offset) {
+	const wheelbase = 2 * CONSTANTS.DISTANCE_BETWEEN_AXLES;
+	const tan = Math.tan((steering_angle * Math.PI) / 180);
+
+	return (
+		(Math.atan((wheelbase * tan) / (wheelbase - offset * tan)) * 180) / Math.PI
+	);
+}
+
+/**
+ * Returns the direction the truck is facing on the floor plane.
+ *
+ * @param {number} heading - The heading of the truck, in degrees.
+ * @returns {number[]} The X and Z components of the forward direction.
+ */
+function forward_direction(heading) {
+	const angle = (heading * Math.PI) / 180;
+	return [-Math.cos(angle), Math.sin(angle)];
+}
+
+/**
+ * Drives the truck along its path using the kinematic bicycle model.
+ *
+ * The back axle moves along the current forward direction while the heading
+ * turns by distance * tan(steering) / wheelbase, so with the wheels turned the
+ * truck drives in circles around the floor. It does not move while the
+ * outriggers are out.
+ *
+ * @param {number} distance - The distance to drive, negative to reverse.
+ */
+function drive(distance) {
+	if (truck_locked()) return;
+
+	const halfWheelbase = CONSTANTS.DISTANCE_BETWEEN_AXLES;
+	const wheelbase = 2 * halfWheelbase;
+	const turn =
+		((distance * Math.tan((steering_angle * Math.PI) / 180)) / wheelbase) *
+		(180 / Math.PI);
+
+	// The back axle is the reference point of the bicycle model
+	const [fx, fz] = forward_direction(truck_heading);
+	let back_x = truck_x - fx * halfWheelbase;
+	let back_z = truck_z - fz * halfWheelbase;
+
+	const [mx, mz] = forward_direction(truck_heading + turn / 2);
+	back_x += mx * distance;
+	back_z += mz * distance;
+
+	truck_heading += turn;
+
+	const [nx, nz] = forward_direction(truck_heading);
+	truck_x = back_x + nx * halfWheelbase;
+	truck_z = back_z + nz * halfWheelbase;
+
+	calculate_wheel_rotation((translation -= distance));
+}
+
+/**
+ * Turns the steering by the given amount, within the steering lock.
+ *
+ * @param {number} delta - The amount to turn, in degrees (positive steers to the driver's left, negative to the right).
+ */
+function steer(delta) {
+	steering_angle = Math.min(
+		Math.max(steering_angle + delta, -CONSTANTS.MAX_STEERING_ANGLE),
+		CONSTANTS.MAX_STEERING_ANGLE
+	);
+	update_truck_position();
 }
 
 /**
@@ -443,11 +2017,11 @@ function draw_truck(parent) {
  * @param {Node} parent - The truck node to which the wheels will be attached.
  */
 function draw_wheels(parent) {
-	// Draw the front axle
-	draw_axles(parent, CONSTANTS.DISTANCE_BETWEEN_AXLES);
+	// Draw the back axle (the cab faces -X)
+	draw_axles(parent, CONSTANTS.DISTANCE_BETWEEN_AXLES, "back");
 
-	// Draw the back axle
-	draw_axles(parent, -CONSTANTS.DISTANCE_BETWEEN_AXLES);
+	// Draw the front axle
+	draw_axles(parent, -CONSTANTS.DISTANCE_BETWEEN_AXLES, "front");
 }
 
 /**
@@ -458,16 +2032,27 @@ function draw_wheels(parent) {
  *
  * @param {Node} parent - The node to which the axles will be attached.
  * @param {number} distance - The distance to translate the axles node along the X-axis.
+ * @param {string} side - Which axle this is ("front" or "back"), used to name the nodes.
  */
-function draw_axles(parent, distance) {
-	const axlesNode = new Node();
+function draw_axles(parent, distance, side) {
+	const axlesNode = new Node(`${side}_axle`);
 
 	axlesNode.translate(distance, 0, 0);
 	axlesNode.rotateX(CONSTANTS.AXLE_ROTATION);
 
 	draw_axle(axlesNode);
-	draw_wheel(axlesNode, CONSTANTS.DISTANCE_BETWEEN_WHEELS_SAME_AXLE);
-	draw_wheel(axlesNode, -CONSTANTS.DISTANCE_BETWEEN_WHEELS_SAME_AXLE);
+	draw_wheel(
+		axlesNode,
+		CONSTANTS.DISTANCE_BETWEEN_WHEELS_SAME_AXLE,
+		`${side}_left_wheel`,
+		side === "front"
+	);
+	draw_wheel(
+		axlesNode,
+		-CONSTANTS.DISTANCE_BETWEEN_WHEELS_SAME_AXLE,
+		`${side}_right_wheel`,
+		side === "front"
+	);
 
 	axlesNode.setParent(parent);
 }
@@ -481,7 +2066,7 @@ function draw_axles(parent, distance) {
  * @param {Node} parent - The node to which the axle will be attached.
  */
 function draw_axle(parent) {
-	const axleNode = new Node();
+	const axleNode = new Node("axle");
 
 	axleNode.scale(
 		CONSTANTS.AXLE_RADIUS,
@@ -493,6 +2078,7 @@ function draw_axle(parent) {
 		primitive: CYLINDER,
 		color: CONSTANTS.COLORS.BLACK,
 		currentMode,
+		material: CONSTANTS.MATERIALS.METAL,
 	};
 
 	axleNode.setParent(parent);
@@ -502,15 +2088,30 @@ function draw_axle(parent) {
  * Draws a wheel of the truck.
  * @param {Node} parent the axles node
  * @param {number} distance the distance between the wheels on the same axle
+ * @param {string} name the name of the wheel node
+ * @param {boolean} steerable whether the wheel turns with the steering
  */
-function draw_wheel(parent, distance) {
-	const wheelNode = new Node();
-
+function draw_wheel(parent, distance, name, steerable) {
+	const wheelNode = new Node(name);
 	wheelNode.translate(0, distance, 0);
-	wheelNode.rotateY(wheelRotation);
 
-	draw_tire(wheelNode);
-	draw_rim(wheelNode);
+	// The spin is kept in its own node so it can change without touching the offset
+	const wheelSpinNode = new Node("spin");
+	wheelSpinNode.rotateY(wheelRotation);
+	wheelSpinNodes.push(wheelSpinNode);
+
+	draw_tire(wheelSpinNode);
+	draw_rim(wheelSpinNode);
+
+	if (steerable) {
+		const wheelSteerNode = new Node("steer");
+		wheelSteerNodes.push({ node: wheelSteerNode, offset: distance });
+
+		wheelSpinNode.setParent(wheelSteerNode);
+		wheelSteerNode.setParent(wheelNode);
+	} else {
+		wheelSpinNode.setParent(wheelNode);
+	}
 
 	wheelNode.setParent(parent);
 }
@@ -524,7 +2125,7 @@ function draw_wheel(parent, distance) {
  * @param {Node} parent - The wheel node to which the tire will be attached.
  */
 function draw_tire(parent) {
-	const tireNode = new Node();
+	const tireNode = new Node("tire");
 
 	tireNode.scale(
 		CONSTANTS.WHEEL_RADIUS,
@@ -536,6 +2137,7 @@ function draw_tire(parent) {
 		primitive: TORUS,
 		color: CONSTANTS.COLORS.BLACK,
 		currentMode,
+		material: CONSTANTS.MATERIALS.RUBBER,
 	};
 
 	tireNode.setParent(parent);
@@ -550,7 +2152,7 @@ function draw_tire(parent) {
  * @param {Node} parent - The wheel node to which the rim will be attached.
  */
 function draw_rim(parent) {
-	const rimNode = new Node();
+	const rimNode = new Node("rim");
 
 	rimNode.scale(
 		CONSTANTS.RIM_RADIUS,
@@ -562,6 +2164,7 @@ function draw_rim(parent) {
 		primitive: CYLINDER,
 		color: CONSTANTS.COLORS.GREY,
 		currentMode,
+		material: CONSTANTS.MATERIALS.METAL,
 	};
 
 	rimNode.setParent(parent);
@@ -579,22 +2182,122 @@ function draw_rim(parent) {
 function calculate_wheel_rotation(translation) {
 	wheelRotation =
 		(-1 * (translation * 360)) / (2 * Math.PI * CONSTANTS.WHEEL_RADIUS);
+	update_truck_position();
+}
+
+/**
+ * Sets up the underbody of the truck by creating a node, translating it,
+ * drawing the underbody, and attaching it to the parent node.
+ *
+ * @param {Node} parent - The node to which the underbody will be attached.
+ */
+function setup_under_body(parent) {
+	const underbodySetupNode = new Node();
+
+	underbodySetupNode.translate(0, CONSTANTS.UNDER_BODY_OFFSET, 0);
+
+	draw_under_body(underbodySetupNode);
+	draw_outriggers(underbodySetupNode);
+
+	underbodySetupNode.setParent(parent);
+}
+
+/**
+ * Draws the four outriggers under the lower plaque, two on each side between
+ * the axles, stowed or set according to the current deployment.
+ *
+ * @param {Node} parent - The node to which the outriggers will be attached.
+ */
+function draw_outriggers(parent) {
+	const outriggersNode = new Node("outriggers");
+	outriggersNode.translate(0, CONSTANTS.OUTRIGGER_OFFSET_Y, 0);
+
+	[
+		["front", -CONSTANTS.OUTRIGGER_OFFSET_X],
+		["back", CONSTANTS.OUTRIGGER_OFFSET_X],
+	].forEach(([end, x]) => {
+		["left", "right"].forEach((side) => {
+			const outriggerNode = new Node(`${end}_${side}_outrigger`);
+			// Every beam slides out along its +Z, which is the driver's left
+			if (side === "right") outriggerNode.rotateY(180);
+			outriggerNode.translate(x, 0, 0);
+
+			draw_outrigger(outriggerNode);
+			outriggerNode.setParent(outriggersNode);
+		});
+	});
+
+	outriggersNode.setParent(parent);
+	update_outriggers();
 }
 
-/**
- * Sets up the underbody of the truck by creating a node, translating it,
- * drawing the underbody, and attaching it to the parent node.
- *
- * @param {Node} parent - The node to which the underbody will be attached.
- */
-function setup_under_body(parent) {
-	const underbodySetupNode = new Node();
+/**
+ * Draws an outrigger: a beam that slides out sideways, with a leg at its end
+ * that extends down and a foot that rests on the floor.
+ *
+ * @param {Node} parent - The node to which the outrigger will be attached.
+ */
+function draw_outrigger(parent) {
+	const beamNode = new Node("outrigger_beam");
+
+	const beamBarNode = new Node("beam");
+	beamBarNode.scale(
+		CONSTANTS.OUTRIGGER_BEAM_WIDTH,
+		CONSTANTS.OUTRIGGER_BEAM_HEIGHT,
+		CONSTANTS.OUTRIGGER_BEAM_LENGTH
+	);
+	beamBarNode.translate(0, 0, CONSTANTS.OUTRIGGER_BEAM_LENGTH / 2);
+	beamBarNode.drawInfo = {
+		primitive: CUBE,
+		color: CONSTANTS.COLORS.GREY,
+		currentMode,
+		material: CONSTANTS.MATERIALS.METAL,
+	};
+	beamBarNode.setParent(beamNode);
+
+	// The leg stands at the end of the beam, the foot under the leg
+	const jackNode = new Node("jack");
+	jackNode.translate(
+		0,
+		0,
+		CONSTANTS.OUTRIGGER_BEAM_LENGTH - CONSTANTS.OUTRIGGER_BEAM_WIDTH / 2
+	);
+
+	const legNode = new Node("outrigger_leg");
+	legNode.drawInfo = {
+		primitive: CUBE,
+		color: CONSTANTS.COLORS.GREY,
+		currentMode,
+		material: CONSTANTS.MATERIALS.METAL,
+	};
+	legNode.setParent(jackNode);
+
+	const footNode = new Node("outrigger_foot");
 
-	underbodySetupNode.translate(0, CONSTANTS.UNDER_BODY_OFFSET, 0);
+	const padNode = new Node("pad");
+	padNode.scale(
+		CONSTANTS.OUTRIGGER_FOOT_SIZE,
+		CONSTANTS.OUTRIGGER_FOOT_HEIGHT,
+		CONSTANTS.OUTRIGGER_FOOT_SIZE
+	);
+	padNode.translate(
+		0,
+		-(CONSTANTS.OUTRIGGER_BEAM_HEIGHT + CONSTANTS.OUTRIGGER_FOOT_HEIGHT) / 2,
+		0
+	);
+	padNode.drawInfo = {
+		primitive: CYLINDER,
+		color: CONSTANTS.COLORS.BLACK,
+		currentMode,
+		material: CONSTANTS.MATERIALS.RUBBER,
+	};
+	padNode.setParent(footNode);
 
-	draw_under_body(underbodySetupNode);
+	footNode.setParent(jackNode);
+	jackNode.setParent(beamNode);
+	beamNode.setParent(parent);
 
-	underbodySetupNode.setParent(parent);
+	outriggerNodes.push({ beam: beamNode, leg: legNode, foot: footNode });
 }
 
 /**
@@ -603,7 +2306,7 @@ function setup_under_body(parent) {
  * @param {Node} parent - The node to which the underbody will be attached.
  */
 function draw_under_body(parent) {
-	const underBodyNode = new Node();
+	const underBodyNode = new Node("under_body");
 
 	const upperPlaqueAuxNode = new Node();
 
@@ -625,7 +2328,7 @@ function draw_under_body(parent) {
  * @param {Node} parent - The node to which the lower plaque will be attached.
  */
 function draw_lower_plaque(parent) {
-	const lowerPlaqueNode = new Node();
+	const lowerPlaqueNode = new Node("lower_plaque");
 
 	lowerPlaqueNode.scale(
 		CONSTANTS.LOWER_PLAQUE_WIDTH,
@@ -637,6 +2340,7 @@ function draw_lower_plaque(parent) {
 		primitive: CUBE,
 		color: CONSTANTS.COLORS.TRUCK_RED,
 		currentMode,
+		material: CONSTANTS.MATERIALS.PAINT,
 	};
 
 	lowerPlaqueNode.setParent(parent);
@@ -648,7 +2352,7 @@ function draw_lower_plaque(parent) {
  * @param {Node} parent - The node to which the bumpers will be attached.
  */
 function draw_upper_plaque(parent) {
-	const upperPlaqueNode = new Node();
+	const upperPlaqueNode = new Node("upper_plaque");
 
 	upperPlaqueNode.scale(
 		CONSTANTS.UPPER_PLAQUE_WIDTH,
@@ -660,6 +2364,7 @@ function draw_upper_plaque(parent) {
 		primitive: CUBE,
 		color: CONSTANTS.COLORS.TRUCK_RED,
 		currentMode,
+		material: CONSTANTS.MATERIALS.PAINT,
 	};
 
 	upperPlaqueNode.setParent(parent);
@@ -690,7 +2395,8 @@ function draw_side_bumpers(parent) {
 		0,
 		CONSTANTS.SIDE_BUMPER_OFFSET_Z,
 		CONSTANTS.COLORS.WHITE,
-		currentMode
+		currentMode,
+		"left_side_bumper"
 	);
 	create_bumper(
 		parent,
@@ -701,7 +2407,8 @@ function draw_side_bumpers(parent) {
 		0,
 		-CONSTANTS.SIDE_BUMPER_OFFSET_Z,
 		CONSTANTS.COLORS.WHITE,
-		currentMode
+		currentMode,
+		"right_side_bumper"
 	);
 
 	if (CONSTANTS.EDGE_SIDE_BUMPER_WIDTH > 0) {
@@ -714,7 +2421,8 @@ function draw_side_bumpers(parent) {
 			0,
 			CONSTANTS.SIDE_BUMPER_OFFSET_Z,
 			CONSTANTS.COLORS.WHITE,
-			currentMode
+			currentMode,
+			"front_left_side_bumper"
 		);
 		create_bumper(
 			parent,
@@ -725,7 +2433,8 @@ function draw_side_bumpers(parent) {
 			0,
 			-CONSTANTS.SIDE_BUMPER_OFFSET_Z,
 			CONSTANTS.COLORS.WHITE,
-			currentMode
+			currentMode,
+			"front_right_side_bumper"
 		);
 		create_bumper(
 			parent,
@@ -736,7 +2445,8 @@ function draw_side_bumpers(parent) {
 			0,
 			CONSTANTS.SIDE_BUMPER_OFFSET_Z,
 			CONSTANTS.COLORS.WHITE,
-			currentMode
+			currentMode,
+			"back_left_side_bumper"
 		);
 		create_bumper(
 			parent,
@@ -747,7 +2457,8 @@ function draw_side_bumpers(parent) {
 			0,
 			-CONSTANTS.SIDE_BUMPER_OFFSET_Z,
 			CONSTANTS.COLORS.WHITE,
-			currentMode
+			currentMode,
+			"back_right_side_bumper"
 		);
 	}
 }
@@ -767,7 +2478,8 @@ function draw_front_and_back_bumpers(parent) {
 		0,
 		0,
 		CONSTANTS.COLORS.WHITE,
-		currentMode
+		currentMode,
+		"front_bumper"
 	);
 
 	create_bumper(
@@ -779,7 +2491,8 @@ function draw_front_and_back_bumpers(parent) {
 		0,
 		0,
 		CONSTANTS.COLORS.WHITE,
-		currentMode
+		currentMode,
+		"back_bumper"
 	);
 }
 
@@ -795,6 +2508,7 @@ function draw_front_and_back_bumpers(parent) {
  * @param {number} translateZ - The translation along the Z-axis.
  * @param {string} color - The color of the bumper.
  * @param {string} mode - The drawing mode for the bumper.
+ * @param {string} name - The name of the node.
  * @returns {Node} The created bumper node.
  */
 function create_bumper(
@@ -806,9 +2520,10 @@ function create_bumper(
 	translateY,
 	translateZ,
 	color,
-	mode
+	mode,
+	name
 ) {
-	const bumper = new Node();
+	const bumper = new Node(name);
 	bumper.scale(width, height, length);
 	bumper.translate(translateX, translateY, translateZ);
 	bumper.drawInfo = {
@@ -831,6 +2546,7 @@ function create_bumper(
  * @param {number} translateZ - The translation along the Z-axis.
  * @param {string} color - The color of the bumper.
  * @param {string} mode - The drawing mode for the bumper.
+ * @param {string} name - The name of the node.
  * @returns {Node} The created bumper node.
  */
 function create_blinker(
@@ -842,9 +2558,10 @@ function create_blinker(
 	translateY,
 	translateZ,
 	color,
-	mode
+	mode,
+	name
 ) {
-	const blinker = new Node();
+	const blinker = new Node(name);
 	blinker.scale(width, height, length);
 	blinker.translate(translateX, translateY, translateZ);
 	blinker.drawInfo = {
@@ -854,6 +2571,7 @@ function create_blinker(
 		alphaBlending: true,
 	};
 	blinker.setParent(parent);
+	blinkerNodes.push(blinker);
 	return blinker;
 }
 
@@ -876,7 +2594,8 @@ function draw_blinkers(parent) {
 		CONSTANTS.BLINKER_OFFSET_Y,
 		CONSTANTS.FRONT_BLINKER_OFFSET_Z,
 		blinker_color,
-		currentMode
+		currentMode,
+		"front_left_blinker"
 	);
 
 	create_blinker(
@@ -888,7 +2607,8 @@ function draw_blinkers(parent) {
 		CONSTANTS.BLINKER_OFFSET_Y,
 		-CONSTANTS.FRONT_BLINKER_OFFSET_Z,
 		blinker_color,
-		currentMode
+		currentMode,
+		"front_right_blinker"
 	);
 
 	create_blinker(
@@ -900,7 +2620,8 @@ function draw_blinkers(parent) {
 		CONSTANTS.BLINKER_OFFSET_Y,
 		CONSTANTS.BACK_BLINKER_OFFSET_Z,
 		blinker_color,
-		currentMode
+		currentMode,
+		"back_left_blinker"
 	);
 
 	create_blinker(
@@ -912,7 +2633,8 @@ function draw_blinkers(parent) {
 		CONSTANTS.BLINKER_OFFSET_Y,
 		-CONSTANTS.BACK_BLINKER_OFFSET_Z,
 		blinker_color,
-		currentMode
+		currentMode,
+		"back_right_blinker"
 	);
 }
 
@@ -920,12 +2642,13 @@ function draw_blinkers(parent) {
  * Sets up the front body of the truck.
  *
  * This function creates a front body node, translates it to the specified position,
- * draws the front body, and attaches it to the parent node.
+ * draws the front body, marks the eye of the driver for the cab camera, and
+ * attaches it to the parent node.
  *
  * @param {Node} parent - The node to which the front body will be attached.
  */
 function setup_front_body(parent) {
-	const front_body = new Node();
+	const front_body = new Node("front_body");
 
 	front_body.translate(
 		CONSTANTS.FRONT_BODY_SETUP_OFFSET_X,
@@ -935,6 +2658,15 @@ function setup_front_body(parent) {
 
 	draw_front_body(front_body);
 
+	// Where the driver sees the road from, just behind the windscreen
+	const cabEyeNode = new Node("cab_eye");
+	cabEyeNode.translate(
+		-CONSTANTS.FRONT_BOX_WIDTH / 2 + CONSTANTS.CAB_EYE_INSET,
+		CONSTANTS.FRONT_WINDOW_OFFSET_Y,
+		0
+	);
+	cabEyeNode.setParent(front_body);
+
 	front_body.setParent(parent);
 }
 
@@ -966,7 +2698,7 @@ function draw_front_body(parent) {
  * @param {Node} parent - The node to which the front box will be attached.
  */
 function draw_front_box(parent) {
-	const frontBoxNode = new Node();
+	const frontBoxNode = new Node("front_box");
 
 	frontBoxNode.scale(
 		CONSTANTS.FRONT_BOX_WIDTH,
@@ -977,6 +2709,7 @@ function draw_front_box(parent) {
 		primitive: CUBE,
 		color: CONSTANTS.COLORS.TRUCK_RED,
 		currentMode,
+		material: CONSTANTS.MATERIALS.PAINT,
 	};
 
 	frontBoxNode.setParent(parent);
@@ -992,7 +2725,7 @@ function draw_front_box(parent) {
  * @param {Node} parent - The node to which the front window will be attached.
  */
 function draw_front_window(parent) {
-	const frontWindowNode = new Node();
+	const frontWindowNode = new Node("front_window");
 
 	frontWindowNode.scale(
 		CONSTANTS.FRONT_WINDOW_LENGTH,
@@ -1008,6 +2741,7 @@ function draw_front_window(parent) {
 		primitive: CUBE,
 		color: CONSTANTS.COLORS.LIGHT_BLUE,
 		currentMode,
+		material: CONSTANTS.MATERIALS.GLASS,
 	};
 
 	frontWindowNode.setParent(parent);
@@ -1019,7 +2753,7 @@ function draw_front_window(parent) {
  * This function creates a light node, scales and translates it to the specified dimensions and position,
  * sets its drawing information, and attaches it to the parent node. Additionally, it creates a glass node
  * to represent the glass covering of the light, scales it, sets its drawing information, and attaches it
- * to the light node.
+ * to the light node. A spot light source is added at the same position, following the parent node.
  *
  * @param {Node} parent - The node to which the light will be attached.
  * @param {number} scaleX - The scale factor along the X-axis for the light.
@@ -1030,6 +2764,7 @@ function draw_front_window(parent) {
  * @param {number} translateZ - The translation along the Z-axis for the light.
  * @param {string} color - The color of the light.
  * @param {string} mode - The drawing mode for the light.
+ * @param {string} name - The name of the node.
  */
 function create_light(
 	parent,
@@ -1040,9 +2775,10 @@ function create_light(
 	translateY,
 	translateZ,
 	color,
-	mode
+	mode,
+	name
 ) {
-	const lightNode = new Node();
+	const lightNode = new Node(name);
 
 	lightNode.scale(scaleX, scaleY, scaleZ);
 	lightNode.translate(translateX, translateY, translateZ);
@@ -1050,9 +2786,10 @@ function create_light(
 		primitive: SPHERE,
 		color: color,
 		currentMode: mode,
+		material: CONSTANTS.MATERIALS.GLASS,
 	};
 
-	const glassNode = new Node();
+	const glassNode = new Node("glass");
 	glassNode.scale(
 		CONSTANTS.GLASS_NODE_SIZE,
 		CONSTANTS.GLASS_NODE_SIZE,
@@ -1062,11 +2799,26 @@ function create_light(
 		primitive: SPHERE,
 		color: lightColor,
 		currentMode: gl.LINES,
+		fixedMode: true,
 		alphaBlending: true,
 	};
 	glassNode.setParent(lightNode);
+	headlightGlassNodes.push(glassNode);
 
 	lightNode.setParent(parent);
+
+	// The light source sits on the (unscaled) parent so its cone is not distorted
+	const headlight = createSpotLight(
+		[translateX, translateY, translateZ],
+		CONSTANTS.HEADLIGHT_AXIS,
+		CONSTANTS.HEADLIGHT_CUTOFF,
+		CONSTANTS.HEADLIGHT_EXPONENT,
+		CONSTANTS.HEADLIGHT_INTENSITIES
+	);
+	headlight.node = parent;
+	headlight.enabled = lightColor === CONSTANTS.COLORS.WHITE;
+	headlightLights.push(headlight);
+	lights.push(headlight);
 }
 
 /**
@@ -1088,7 +2840,8 @@ function draw_lights(parent) {
 		-CONSTANTS.FRONT_LIGHT_OFFSET_Y,
 		-CONSTANTS.FRONT_LIGHT_OFFSET_Z,
 		CONSTANTS.COLORS.WHITE,
-		currentMode
+		currentMode,
+		"right_headlight"
 	);
 
 	create_light(
@@ -1100,21 +2853,26 @@ function draw_lights(parent) {
 		-CONSTANTS.FRONT_LIGHT_OFFSET_Y,
 		CONSTANTS.FRONT_LIGHT_OFFSET_Z,
 		CONSTANTS.COLORS.WHITE,
-		currentMode
+		currentMode,
+		"left_headlight"
 	);
 }
 
 /**
- * Toggles the color of the lights between grey and white.
+ * Toggles the headlights on and off.
  *
  * This function switches the light color from grey to white or from white to grey
- * based on the current color.
+ * based on the current color, and turns the headlight spot lights on when white.
  */
 function toggleLights() {
 	lightColor =
 		lightColor === CONSTANTS.COLORS.GREY
 			? CONSTANTS.COLORS.WHITE
 			: CONSTANTS.COLORS.GREY;
+	headlightGlassNodes.forEach((node) => (node.drawInfo.color = lightColor));
+	headlightLights.forEach(
+		(light) => (light.enabled = lightColor === CONSTANTS.COLORS.WHITE)
+	);
 }
 
 /**
@@ -1128,6 +2886,14 @@ function toggle_blinker_color() {
 		blinker_color === CONSTANTS.COLORS.GREY
 			? CONSTANTS.COLORS.ORANGE
 			: CONSTANTS.COLORS.GREY;
+	update_blinker_color();
+}
+
+/**
+ * Applies the current blinker color to the blinker nodes.
+ */
+function update_blinker_color() {
+	blinkerNodes.forEach((node) => (node.drawInfo.color = blinker_color));
 }
 
 /**
@@ -1139,7 +2905,8 @@ function toggle_blinker_color() {
  * @param {Node} parent - The node to which the front left window will be attached.
  */
 function draw_front_left_window(parent) {
-	const leftWindowNode = new Node();
+	// Seen from the front; for the driver, facing -X, this is the right window
+	const leftWindowNode = new Node("right_window");
 
 	leftWindowNode.scale(
 		CONSTANTS.SIDE_WINDOW_WIDTH,
@@ -1155,6 +2922,7 @@ function draw_front_left_window(parent) {
 		primitive: CUBE,
 		color: CONSTANTS.COLORS.LIGHT_BLUE,
 		currentMode,
+		material: CONSTANTS.MATERIALS.GLASS,
 	};
 
 	leftWindowNode.setParent(parent);
@@ -1169,7 +2937,8 @@ function draw_front_left_window(parent) {
  * @param {Node} parent - The node to which the front right window will be attached.
  */
 function draw_front_right_window(parent) {
-	const rightWindowNode = new Node();
+	// Seen from the front; for the driver, facing -X, this is the left window
+	const rightWindowNode = new Node("left_window");
 
 	rightWindowNode.scale(
 		CONSTANTS.SIDE_WINDOW_WIDTH,
@@ -1185,6 +2954,7 @@ function draw_front_right_window(parent) {
 		primitive: CUBE,
 		color: CONSTANTS.COLORS.LIGHT_BLUE,
 		currentMode,
+		material: CONSTANTS.MATERIALS.GLASS,
 	};
 
 	rightWindowNode.setParent(parent);
@@ -1196,12 +2966,12 @@ function draw_front_right_window(parent) {
  * This function creates a siren node, scales and translates it to the specified dimensions and position,
  * sets its drawing information, and attaches it to the parent node. Additionally, it creates a glass node
  * to represent the glass covering of the siren, scales it, sets its drawing information, and attaches it
- * to the siren node.
+ * to the siren node, and creates the rotating beacon light that shines from the siren.
  *
  * @param {Node} parent - The node to which the siren will be attached.
  */
 function draw_siren(parent) {
-	const sirenNode = new Node();
+	sirenNode = new Node("siren");
 	sirenNode.scale(
 		CONSTANTS.SIREN_SIZE,
 		CONSTANTS.SIREN_SIZE,
@@ -1215,10 +2985,11 @@ function draw_siren(parent) {
 		currentMode,
 		outline: false,
 		alphaBlending: true,
+		material: CONSTANTS.MATERIALS.GLASS,
 	};
 	sirenNode.setParent(parent);
 
-	const glassSiren = new Node();
+	const glassSiren = new Node("glass");
 	glassSiren.scale(
 		CONSTANTS.SIREN_GLASS_RATIO,
 		CONSTANTS.SIREN_GLASS_RATIO,
@@ -1228,40 +2999,106 @@ function draw_siren(parent) {
 		primitive: SPHERE,
 		color: CONSTANTS.COLORS.SIREN,
 		currentMode: gl.LINES,
+		fixedMode: true,
 		alphaBlending: true,
 	};
 	glassSiren.setParent(sirenNode);
+
+	sirenLight = createSpotLight(
+		[0, CONSTANTS.SIREN_OFFSET_Y, 0],
+		[1, 0, 0],
+		CONSTANTS.SIREN_LIGHT_CUTOFF,
+		CONSTANTS.SIREN_LIGHT_EXPONENT,
+		{ attenuation: CONSTANTS.SIREN_LIGHT_ATTENUATION }
+	);
+	sirenLight.node = parent;
+	sirenLight.enabled = false;
+	update_siren_light();
+	lights.push(sirenLight);
+}
+
+/**
+ * Points the siren beam along the current rotation and gives it the siren color.
+ */
+function update_siren_light() {
+	const angle = (sirenRotation * Math.PI) / 180;
+	sirenLight.axis = [Math.cos(angle), -0.2, Math.sin(angle)];
+
+	const intensity = sirenColor
+		.slice(0, 3)
+		.map((c) => c * CONSTANTS.SIREN_LIGHT_INTENSITY);
+	sirenLight.diffuse = intensity;
+	sirenLight.specular = intensity;
+}
+
+/**
+ * Rotates the siren beam and alternates the siren color while the siren is on.
+ *
+ * @param {number} dt - The time elapsed since the last frame, in seconds.
+ */
+function animateSiren(dt) {
+	if (!sirenOn) return;
+
+	sirenRotation = (sirenRotation + CONSTANTS.SIREN_ROTATION_SPEED * dt) % 360;
+
+	sirenFlashTime += dt;
+	while (sirenFlashTime >= CONSTANTS.FLASH_PERIOD) {
+		sirenFlashTime -= CONSTANTS.FLASH_PERIOD;
+		toggleSirenColor();
+	}
+	update_siren_light();
 }
 
 /**
  * Toggles the siren on and off.
  *
- * This function starts or stops the siren interval, which alternates the siren color.
- * When the siren is turned off, the siren color is reset to grey.
+ * This function starts or stops the siren, which alternates the siren color every
+ * FLASH_PERIOD seconds, and the rotating siren light. When the siren is turned off,
+ * the siren color is reset to grey.
  */
 function toggleSiren() {
-	if (sirenInterval) {
-		clearInterval(sirenInterval);
+	if (sirenOn) {
 		sirenColor = CONSTANTS.COLORS.GREY;
-		sirenInterval = null;
+		sirenNode.drawInfo.color = sirenColor;
+		sirenLight.enabled = false;
+		sirenOn = false;
 	} else {
-		sirenInterval = setInterval(toggleSirenColor, 500);
+		sirenOn = true;
+		sirenFlashTime = 0;
+		toggleSirenColor();
+		sirenLight.enabled = true;
+	}
+}
+
+/**
+ * Alternates the blinker color every FLASH_PERIOD seconds while the blinkers are on.
+ *
+ * @param {number} dt - The time elapsed since the last frame, in seconds.
+ */
+function animateBlinker(dt) {
+	if (!blinkerOn) return;
+
+	blinkerFlashTime += dt;
+	while (blinkerFlashTime >= CONSTANTS.FLASH_PERIOD) {
+		blinkerFlashTime -= CONSTANTS.FLASH_PERIOD;
+		toggle_blinker_color();
 	}
 }
 
 /**
  * Toggles the blinker on and off.
  *
- * This function starts or stops the blinker interval, which alternates the blinker color.
+ * This function starts or stops the blinkers, which alternate their color.
  * When the blinker is turned off, the blinker color is reset to grey.
  */
 function toggleBlinker() {
-	if (blinker_interval) {
-		clearInterval(blinker_interval);
+	if (blinkerOn) {
 		blinker_color = CONSTANTS.COLORS.GREY;
-		blinker_interval = null;
+		update_blinker_color();
+		blinkerOn = false;
 	} else {
-		blinker_interval = setInterval(toggle_blinker_color, 500);
+		blinkerOn = true;
+		blinkerFlashTime = 0;
 	}
 }
 
@@ -1276,10 +3113,12 @@ function toggleSirenColor() {
 		sirenColor === CONSTANTS.COLORS.RED
 			? CONSTANTS.COLORS.LIGHT_BLUE
 			: CONSTANTS.COLORS.RED;
+	sirenNode.drawInfo.color = sirenColor;
+	update_siren_light();
 }
 
 function setup_back_body(parent) {
-	const backBodyNode = new Node();
+	const backBodyNode = new Node("back_body");
 
 	backBodyNode.translate(
 		CONSTANTS.BACK_BODY_OFFSET_X,
@@ -1299,15 +3138,254 @@ function setup_back_body(parent) {
  *
  * This function increases the roll-up progress if the windows are rolling up
  * and decreases the roll-up progress if the windows are rolling down. The progress
- * is adjusted by ROLL_UP_PROGRESS units per call, and it is bounded by the total
+ * moves at ROLL_UP_SPEED cubes per second, and it is bounded by the total
  * number of cubes.
+ *
+ * @param {number} dt - The time elapsed since the last frame, in seconds.
+ */
+function animateRollUp(dt) {
+	const step = CONSTANTS.ROLL_UP_SPEED * dt;
+
+	if (isRollingUp) {
+		rollUpProgress = Math.min(rollUpProgress + step, CONSTANTS.TOTAL_CUBES); // Increase the roll-up progress
+	} else {
+		rollUpProgress = Math.max(rollUpProgress - step, 0); // Decrease to "roll down"
+	}
+	update_roll_up();
+}
+
+/**
+ * Scales the water inside the tank to the tank level, keeping it at the
+ * bottom of the tank.
+ */
+function update_water_level() {
+	if (!waterNode) return;
+
+	// An empty tank is hidden rather than scaled to nothing
+	waterNode.visible = tankLevel > 0;
+	if (!waterNode.visible) return;
+
+	// The tank lies on its side: its X axis points up
+	waterNode.resetTransform();
+	waterNode.scale(
+		CONSTANTS.WATER_WIDTH * tankLevel,
+		CONSTANTS.WATER_HEIGHT,
+		CONSTANTS.WATER_LENGTH
+	);
+	waterNode.translate(((tankLevel - 1) * CONSTANTS.WATER_WIDTH) / 2, 0, 0);
+}
+
+/**
+ * Turns the tap wheel, up to its end stops at the lowest and highest pump
+ * pressures. The pump pressure then eases towards the new setting.
+ *
+ * @param {number} amount - The change of pressure, in bar (positive opens the tap).
+ */
+function turn_tap_wheel(amount) {
+	tapWheelPressure = Math.min(
+		Math.max(tapWheelPressure + amount, CONSTANTS.MIN_PUMP_PRESSURE),
+		CONSTANTS.MAX_PUMP_PRESSURE
+	);
+}
+
+/**
+ * Eases the pump pressure towards the setting of the tap wheel, which turns
+ * along with it.
+ *
+ * @param {number} dt - The time elapsed since the last frame, in seconds.
+ */
+function animateTapWheel(dt) {
+	if (pumpPressure === tapWheelPressure) return;
+
+	// Exponential easing, independent of the frame rate
+	pumpPressure +=
+		(tapWheelPressure - pumpPressure) *
+		(1 - Math.exp(-dt / CONSTANTS.TAP_WHEEL_EASING));
+	if (Math.abs(pumpPressure - tapWheelPressure) < 1e-3) {
+		pumpPressure = tapWheelPressure;
+	}
+	update_tap_wheel();
+}
+
+/**
+ * Turns the tap wheel around its axle to show the pump pressure.
+ */
+function update_tap_wheel() {
+	if (!tapWheelNode) return;
+
+	tapWheelNode.resetTransform();
+	tapWheelNode.rotateY(
+		(pumpPressure - CONSTANTS.MIN_PUMP_PRESSURE) *
+			CONSTANTS.TAP_WHEEL_TURN_PER_PRESSURE
+	);
+	tapWheelNode.scale(
+		CONSTANTS.TAP_WHEEL_WIDTH,
+		CONSTANTS.TAP_WHEEL_HEIGHT,
+		CONSTANTS.TAP_WHEEL_LENGTH
+	);
+	tapWheelNode.translate(
+		CONSTANTS.TAP_WHEEL_OFFSET_X,
+		CONSTANTS.TAP_WHEEL_OFFSET_Y,
+		CONSTANTS.TAP_WHEEL_OFFSET_Z
+	);
+}
+
+/**
+ * Deploys the outriggers, or stows them. They cannot be stowed while the
+ * ladder is raised.
+ */
+function toggle_outriggers() {
+	if (outriggersDeployed && ladder_user_tilt < CONSTANTS.MAX_LADDER_USER_TILT) {
+		return;
+	}
+	outriggersDeployed = !outriggersDeployed;
+}
+
+/**
+ * Animates the outriggers towards their target state. Deploying, the beams
+ * first slide out and then the legs lower the feet onto the floor; stowing
+ * does the same in reverse. The deployment moves at OUTRIGGER_SPEED.
+ *
+ * @param {number} dt - The time elapsed since the last frame, in seconds.
+ */
+function animateOutriggers(dt) {
+	const target = outriggersDeployed ? 1 : 0;
+	if (outriggerDeployment === target) return;
+
+	const step = CONSTANTS.OUTRIGGER_SPEED * dt;
+	outriggerDeployment = outriggersDeployed
+		? Math.min(outriggerDeployment + step, 1)
+		: Math.max(outriggerDeployment - step, 0);
+	update_outriggers();
+}
+
+/**
+ * Slides the beams and extends the legs of the outriggers according to the
+ * deployment: the first half slides the beams out, the second half lowers
+ * the feet.
+ */
+function update_outriggers() {
+	const slide =
+		CONSTANTS.OUTRIGGER_REACH * Math.min(2 * outriggerDeployment, 1);
+	const drop =
+		CONSTANTS.OUTRIGGER_DROP * Math.max(2 * outriggerDeployment - 1, 0);
+
+	outriggerNodes.forEach(({ beam, leg, foot }) => {
+		beam.resetTransform();
+		beam.translate(0, 0, slide);
+
+		// The leg stretches from the top of the beam down to the foot
+		leg.resetTransform();
+		leg.scale(
+			CONSTANTS.OUTRIGGER_BEAM_WIDTH,
+			CONSTANTS.OUTRIGGER_BEAM_HEIGHT + drop,
+			CONSTANTS.OUTRIGGER_BEAM_WIDTH
+		);
+		leg.translate(0, -drop / 2, 0);
+
+		foot.resetTransform();
+		foot.translate(0, -drop, 0);
+	});
+}
+
+/**
+ * Tells whether the ladder is locked because the outriggers are not set on
+ * the floor. A locked ladder can still be lowered back onto the truck.
+ *
+ * @returns {boolean} Whether the ladder may not be raised or rotated.
+ */
+function ladder_locked() {
+	return outriggerDeployment < 1;
+}
+
+/**
+ * Tells whether the truck is locked in place because the outriggers are out.
+ *
+ * @returns {boolean} Whether the truck may not be driven or moved.
+ */
+function truck_locked() {
+	return outriggerDeployment > 0;
+}
+
+/**
+ * Shows the state of the pump on the HUD: whether it is on, its pressure and
+ * the level of the tank, along with the state of the outriggers.
+ */
+function update_hud() {
+	const outriggers =
+		outriggerDeployment === 1
+			? "set"
+			: outriggerDeployment === 0
+				? "stowed"
+				: outriggersDeployed
+					? "deploying"
+					: "stowing";
+	const text =
+		`Pump ${pumpOn ? "on" : "off"} | ` +
+		`${pumpPressure.toFixed(1)} bar | ` +
+		`tank ${Math.round(tankLevel * 100)}% | ` +
+		`outriggers ${outriggers}`;
+
+	// Only touch the page when something changed
+	const hud = document.getElementById("hud");
+	if (hud.textContent !== text) hud.textContent = text;
+}
+
+/**
+ * Sends water out of the tip of the ladder while the pump is on and the tank
+ * is not empty, draining the tank, and moves the drops already in the air.
+ *
+ * @param {number} dt - The time elapsed since the last frame, in seconds.
  */
-function animateRollUp() {
-	if (isRollingUp && rollUpProgress < CONSTANTS.TOTAL_CUBES) {
-		rollUpProgress += CONSTANTS.ROLL_UP_PROGRESS; // Increase the roll-up progress
-	} else if (!isRollingUp && rollUpProgress > 0) {
-		rollUpProgress -= CONSTANTS.ROLL_UP_PROGRESS; // Decrease to "roll down"
+function animateWaterJet(dt) {
+	let nozzle = null;
+
+	if (pumpOn && tankLevel > 0) {
+		const { position, direction } = ladder_tip();
+		nozzle = {
+			position,
+			direction,
+			speed: pumpPressure * CONSTANTS.JET_SPEED_PER_PRESSURE,
+		};
+
+		tankLevel = Math.max(
+			tankLevel - pumpPressure * CONSTANTS.TANK_DRAIN_RATE * dt,
+			0
+		);
+		update_water_level();
 	}
+
+	waterJet.update(dt, nozzle);
+}
+
+/**
+ * Draws a small sphere for each drop of the water jet.
+ *
+ * @param {mat4} view - The view matrix of the camera.
+ */
+function draw_water_jet(view) {
+	waterJet.drops.forEach(({ position }) => {
+		dropNode.resetTransform();
+		dropNode.scale(
+			CONSTANTS.WATER_DROP_SIZE,
+			CONSTANTS.WATER_DROP_SIZE,
+			CONSTANTS.WATER_DROP_SIZE
+		);
+		dropNode.translate(...position);
+		dropNode.updateWorldMatrix();
+		dropNode.draw(gl, program, view);
+	});
+}
+
+/**
+ * Hides the window cubes that have "rolled up" and shows the others.
+ */
+function update_roll_up() {
+	windowCubeNodes.forEach((windowGroup) =>
+		windowGroup.forEach((windowCube, i) => {
+			windowCube.visible = i >= rollUpProgress;
+		})
+	);
 }
 
 /**
@@ -1324,6 +3402,7 @@ function animateRollUp() {
  * @param {number} translateX - The translation along the X-axis for the box.
  * @param {number} translateY - The translation along the Y-axis for the box.
  * @param {number} translateZ - The translation along the Z-axis for the box.
+ * @param {string} name - The name of the node.
  */
 function create_box_node(
 	width,
@@ -1333,9 +3412,10 @@ function create_box_node(
 	parent,
 	translateX,
 	translateY,
-	translateZ
+	translateZ,
+	name
 ) {
-	const boxNode = new Node();
+	const boxNode = new Node(name);
 
 	boxNode.scale(width, height, length);
 	boxNode.translate(translateX, translateY, translateZ);
@@ -1343,6 +3423,7 @@ function create_box_node(
 		primitive: CUBE,
 		color: color,
 		currentMode,
+		material: CONSTANTS.MATERIALS.PAINT,
 	};
 
 	boxNode.setParent(parent);
@@ -1366,7 +3447,8 @@ function draw_back_body(parent) {
 		parent,
 		0,
 		CONSTANTS.BACK_BOX_HEIGHT / 2,
-		0
+		0,
+		"top_wall"
 	);
 	create_box_node(
 		CONSTANTS.BACK_BOX_WIDTH,
@@ -1376,7 +3458,8 @@ function draw_back_body(parent) {
 		parent,
 		0,
 		-CONSTANTS.BACK_BOX_HEIGHT / 2,
-		0
+		0,
+		"bottom_wall"
 	);
 	create_box_node(
 		CONSTANTS.RIGHT_LEFT_WALLS_WIDTH,
@@ -1386,7 +3469,8 @@ function draw_back_body(parent) {
 		parent,
 		CONSTANTS.BACK_BOX_WIDTH / 2 - (1 / 2) * CONSTANTS.RIGHT_LEFT_WALLS_WIDTH,
 		0,
-		0
+		0,
+		"back_wall"
 	);
 	create_box_node(
 		CONSTANTS.RIGHT_LEFT_WALLS_WIDTH,
@@ -1396,14 +3480,14 @@ function draw_back_body(parent) {
 		parent,
 		-CONSTANTS.BACK_BOX_WIDTH / 2 + (1 / 2) * CONSTANTS.RIGHT_LEFT_WALLS_WIDTH,
 		0,
-		0
+		0,
+		"front_wall"
 	);
 
-	const windowGroupFront = new Node();
+	const windowGroupFront = new Node("left_roll_up_door");
+	const windowCubesFront = [];
 	for (let i = 0; i < CONSTANTS.TOTAL_CUBES; i++) {
-		if (i < rollUpProgress) continue; // Skip cubes that have "rolled up"
-
-		const windowCube = new Node();
+		const windowCube = new Node(`slat_${i}`);
 		const WINDOW_CUBE_HEIGHT =
 			(CONSTANTS.BACK_BOX_HEIGHT - CONSTANTS.TOP_BOTTOM_WALLS_HEIGHT) /
 			CONSTANTS.TOTAL_CUBES;
@@ -1427,15 +3511,16 @@ function draw_back_body(parent) {
 		};
 
 		windowCube.setParent(windowGroupFront);
+		windowCubesFront.push(windowCube);
 	}
+	windowCubeNodes.push(windowCubesFront);
 	windowGroupFront.setParent(parent);
 	windowGroupFront.translate(0, 0, CONSTANTS.BACK_BOX_LENGTH / 2);
 
-	const windowGroupBack = new Node();
+	const windowGroupBack = new Node("right_roll_up_door");
+	const windowCubesBack = [];
 	for (let i = 0; i < CONSTANTS.TOTAL_CUBES; i++) {
-		if (i < rollUpProgress) continue; // Skip cubes that have "rolled up"
-
-		const windowCube = new Node();
+		const windowCube = new Node(`slat_${i}`);
 		const WINDOW_CUBE_HEIGHT =
 			(CONSTANTS.BACK_BOX_HEIGHT - CONSTANTS.TOP_BOTTOM_WALLS_HEIGHT) /
 			CONSTANTS.TOTAL_CUBES;
@@ -1459,7 +3544,9 @@ function draw_back_body(parent) {
 		};
 
 		windowCube.setParent(windowGroupBack);
+		windowCubesBack.push(windowCube);
 	}
+	windowCubeNodes.push(windowCubesBack);
 	windowGroupBack.translate(0, 0, -CONSTANTS.BACK_BOX_LENGTH / 2);
 	windowGroupBack.setParent(parent);
 }
@@ -1474,7 +3561,7 @@ function draw_back_body(parent) {
  * @param {Node} parent - The node to which the axe components will be attached.
  */
 function draw_axe(parent) {
-	const axeBody = new Node();
+	const axeBody = new Node("axe_body");
 
 	axeBody.rotateX(CONSTANTS.AXE_BODY_ROTATION);
 	axeBody.scale(
@@ -1494,7 +3581,7 @@ function draw_axe(parent) {
 	};
 	axeBody.setParent(parent);
 
-	const axeHead = new Node();
+	const axeHead = new Node("axe_head");
 
 	axeHead.rotateX(CONSTANTS.AXE_HEAD_ROTATION);
 	axeHead.scale(
@@ -1511,6 +3598,7 @@ function draw_axe(parent) {
 		primitive: PYRAMID, // Assuming the axe head can be represented as a pyramid
 		color: CONSTANTS.COLORS.GREY, // Color of the axe head
 		currentMode,
+		material: CONSTANTS.MATERIALS.METAL,
 	};
 
 	axeHead.setParent(parent);
@@ -1522,7 +3610,7 @@ function draw_axe(parent) {
  * @param {Node} parent - The parent node to which the water tank will be attached.
  */
 function draw_water_tank(parent) {
-	const waterTank = new Node();
+	const waterTank = new Node("water_tank");
 	waterTank.rotateZ(90);
 	waterTank.translate(
 		CONSTANTS.WATER_TANK_OFFSET_X,
@@ -1530,21 +3618,18 @@ function draw_water_tank(parent) {
 		CONSTANTS.WATER_TANK_OFFSET_Z
 	);
 
-	const water = new Node();
-	water.scale(
-		CONSTANTS.WATER_WIDTH,
-		CONSTANTS.WATER_HEIGHT,
-		CONSTANTS.WATER_LENGTH
-	);
+	const water = new Node("water");
+	waterNode = water;
 	water.drawInfo = {
 		primitive: CYLINDER,
 		color: CONSTANTS.COLORS.LIGHT_BLUE,
 		currentMode,
 	};
 	water.setParent(waterTank);
+	update_water_level();
 	waterTank.setParent(parent);
 
-	const waterGlass = new Node();
+	const waterGlass = new Node("water_glass");
 	waterGlass.scale(
 		CONSTANTS.WATER_GLASS_WIDTH,
 		CONSTANTS.WATER_GLASS_HEIGHT,
@@ -1555,10 +3640,11 @@ function draw_water_tank(parent) {
 		color: CONSTANTS.COLORS.SIREN,
 		currentMode,
 		alphaBlending: true,
+		material: CONSTANTS.MATERIALS.GLASS,
 	};
 	waterGlass.setParent(waterTank);
 
-	const tubes = new Node();
+	const tubes = new Node("tubes");
 	tubes.setParent(waterTank);
 	draw_tubes(tubes);
 
@@ -1578,27 +3664,20 @@ function draw_water_tank(parent) {
  * @param {Node} parent - The parent node to which the tap wheel will be attached.
  */
 function draw_tap_wheel(parent) {
-	const tapWheel = new Node();
-	tapWheel.scale(
-		CONSTANTS.TAP_WHEEL_WIDTH,
-		CONSTANTS.TAP_WHEEL_HEIGHT,
-		CONSTANTS.TAP_WHEEL_LENGTH
-	);
-	tapWheel.translate(
-		CONSTANTS.TAP_WHEEL_OFFSET_X,
-		CONSTANTS.TAP_WHEEL_OFFSET_Y,
-		CONSTANTS.TAP_WHEEL_OFFSET_Z
-	);
+	const tapWheel = new Node("tap_wheel");
+	tapWheelNode = tapWheel;
+	update_tap_wheel();
 
-	const wheel = new Node();
+	const wheel = new Node("wheel");
 	wheel.drawInfo = {
 		primitive: TORUS,
 		color: CONSTANTS.COLORS.GREY,
 		currentMode,
+		material: CONSTANTS.MATERIALS.METAL,
 	};
 	wheel.setParent(tapWheel);
 
-	const wheelVerticalDetail = new Node();
+	const wheelVerticalDetail = new Node("vertical_detail");
 	wheelVerticalDetail.scale(
 		CONSTANTS.TAP_WHEEL_VERTICAL_DETAIL_WIDTH,
 		CONSTANTS.TAP_WHEEL_VERTICAL_DETAIL_HEIGHT,
@@ -1611,7 +3690,7 @@ function draw_tap_wheel(parent) {
 	};
 	wheelVerticalDetail.setParent(tapWheel);
 
-	const wheelHorizontalDetail = new Node();
+	const wheelHorizontalDetail = new Node("horizontal_detail");
 	wheelHorizontalDetail.scale(
 		CONSTANTS.TAP_WHEEL_HORIZONTAL_DETAIL_WIDTH,
 		CONSTANTS.TAP_WHEEL_HORIZONTAL_DETAIL_HEIGHT,
@@ -1633,7 +3712,7 @@ function draw_tap_wheel(parent) {
  * @param {Node} parent - The parent node to which the tubes will be attached.
  */
 function draw_tubes(parent) {
-	const backTube = new Node();
+	const backTube = new Node("back_tube");
 	backTube.scale(
 		CONSTANTS.BACK_TUBE_WIDTH,
 		CONSTANTS.BACK_TUBE_HEIGHT,
@@ -1652,7 +3731,7 @@ function draw_tubes(parent) {
 	};
 	backTube.setParent(parent);
 
-	const frontTube = new Node();
+	const frontTube = new Node("front_tube");
 	frontTube.scale(
 		CONSTANTS.FRONT_TUBE_WIDTH,
 		CONSTANTS.FRONT_TUBE_HEIGHT,
@@ -1671,7 +3750,7 @@ function draw_tubes(parent) {
 	};
 	frontTube.setParent(parent);
 
-	const upperTube = new Node();
+	const upperTube = new Node("upper_tube");
 	upperTube.scale(
 		CONSTANTS.UPPER_TUBE_WIDTH,
 		CONSTANTS.UPPER_TUBE_HEIGHT,
@@ -1711,38 +3790,218 @@ function setup_ladder(parent) {
  * Draws the ladder by creating and positioning its components.
  *
  * This function creates a ladder node, rotates it based on the user angle,
- * draws the ladder base, and then creates and positions the bottom and top ladder steps.
- * It uses the specified constants for dimensions, translations, and rotations,
- * and attaches the ladder components to the parent node.
+ * draws the ladder base, and then creates the sections of the ladder, each
+ * nested in the one below it, and marks the tip of the top section for the
+ * ladder camera. It uses the specified constants for dimensions, translations,
+ * and rotations, and attaches the ladder components to the parent node.
  *
  * @param {Node} parent - The node to which the ladder will be attached.
  */
 function draw_ladder(parent) {
-	const ladder = new Node();
-	ladder.rotateY(ladder_user_angle);
+	const ladder = new Node("ladder");
+	ladderRotationNode = ladder;
 	draw_ladder_base(ladder);
 
-	const ladders = new Node();
-	ladders.rotateZ(ladder_user_tilt);
-	ladders.translate(0, CONSTANTS.LADDER_PART_OFFSET_Y, 0);
+	const ladders = new Node("ladders");
+	ladderTiltNode = ladders;
 	ladders.setParent(ladder);
 
-	const bottom_ladder = new Node();
-	draw_ladder_steps(bottom_ladder);
-	bottom_ladder.setParent(ladders);
+	// Each section is nested in the one below it, which it slides out of
+	let section = new Node("bottom_ladder");
+	draw_ladder_steps(section);
+	section.setParent(ladders);
+
+	for (let i = 1; i < CONSTANTS.LADDER_SECTION_COUNT; i++) {
+		const name =
+			i === CONSTANTS.LADDER_SECTION_COUNT - 1
+				? "top_ladder"
+				: `middle_ladder_${i}`;
+		const nextSection = new Node(name);
+		draw_ladder_steps(nextSection);
+		nextSection.setParent(section);
+		ladderSectionNodes.push(nextSection);
+		section = nextSection;
+	}
 
-	const top_ladder = new Node();
-	top_ladder.translate(
-		CONSTANTS.TOP_LADDER_OFFSET_X * -ladder_user_offset_x,
-		CONSTANTS.TOP_LADDER_OFFSET_Y,
-		0
-	);
-	draw_ladder_steps(top_ladder);
-	top_ladder.setParent(ladders);
+	// The end of the top ladder, where the ladder camera looks from
+	const ladder_tip = new Node("ladder_tip");
+	ladder_tip.translate(-CONSTANTS.LADDER_PART_WIDTH, 0, 0);
+	ladder_tip.setParent(section);
+
+	update_ladder();
 
 	ladder.setParent(parent);
 }
 
+/**
+ * Applies the user angle, tilt and extension to the ladder nodes.
+ */
+function update_ladder() {
+	ladderRotationNode.resetTransform();
+	ladderRotationNode.rotateY(ladder_user_angle);
+
+	ladderTiltNode.resetTransform();
+	ladderTiltNode.rotateZ(ladder_user_tilt);
+	ladderTiltNode.translate(0, CONSTANTS.LADDER_PART_OFFSET_Y, 0);
+
+	const offsets = ladder_section_offsets();
+	ladderSectionNodes.forEach((section, i) => {
+		section.resetTransform();
+		section.translate(-offsets[i], CONSTANTS.LADDER_SECTION_OFFSET_Y, 0);
+	});
+}
+
+/**
+ * Returns how far each sliding section of the ladder sticks out of the one
+ * below it, sharing the extension between them according to the extension
+ * mode.
+ *
+ * @returns {number[]} The offset of each section in ladderSectionNodes.
+ */
+function ladder_section_offsets() {
+	const count = ladderSectionNodes.length;
+	const min = CONSTANTS.MIN_LADDER_SECTION_OFFSET;
+	const max = CONSTANTS.MAX_LADDER_SECTION_OFFSET;
+
+	return ladderSectionNodes.map((section, i) => {
+		// Sequentially, the sections slide out one after the other from the bottom
+		const extension =
+			ladderExtensionMode === "sequential"
+				? Math.min(Math.max(ladder_user_extension * count - i, 0), 1)
+				: ladder_user_extension;
+		return min + extension * (max - min);
+	});
+}
+
+/**
+ * Returns the length of the ladder from its base to the tip of the top
+ * section: the bottom section and what the others stick out of it.
+ *
+ * @returns {number} The reach of the ladder.
+ */
+function ladder_reach() {
+	return ladderLength(ladder_geometry(), ladder_user_extension);
+}
+
+/**
+ * Describes the ladder of the truck for the kinematics functions, as it
+ * stands in the world after the last update of the world matrices.
+ *
+ * @returns {import("./ladderKinematics.js").LadderGeometry} The ladder.
+ */
+function ladder_geometry() {
+	return {
+		base: ladderRotationNode.parent.worldMatrix,
+		pivotHeight: CONSTANTS.LADDER_PART_OFFSET_Y,
+		sectionLength: CONSTANTS.LADDER_PART_WIDTH,
+		sectionCount: ladderSectionNodes.length,
+		sectionRise: CONSTANTS.LADDER_SECTION_OFFSET_Y,
+		minOffset: CONSTANTS.MIN_LADDER_SECTION_OFFSET,
+		maxOffset: CONSTANTS.MAX_LADDER_SECTION_OFFSET,
+		minTilt: CONSTANTS.MIN_LADDER_USER_TILT,
+		maxTilt: CONSTANTS.MAX_LADDER_USER_TILT,
+	};
+}
+
+/**
+ * Returns where the tip of the ladder is for the given controls, the current
+ * ones by default.
+ *
+ * @param {number} [angle] - The turn of the ladder, in degrees.
+ * @param {number} [tilt] - The tilt of the ladder, in degrees.
+ * @param {number} [extension] - The extension of the ladder, from 0 to 1.
+ * @returns {import("./ladderKinematics.js").TipPose} The position and direction of the tip, in world coordinates.
+ */
+function ladder_tip(
+	angle = ladder_user_angle,
+	tilt = ladder_user_tilt,
+	extension = ladder_user_extension
+) {
+	sceneRoot.updateWorldMatrix();
+	return ladderTipPose(ladder_geometry(), { angle, tilt, extension });
+}
+
+/**
+ * Returns the controls that bring the tip of the ladder to a point.
+ *
+ * @param {number[]} target - The point, in world coordinates.
+ * @returns {import("./ladderKinematics.js").LadderPose & {reachable: boolean}}
+ *  The controls, the closest ones if the point is out of reach.
+ */
+function solve_ladder(target) {
+	sceneRoot.updateWorldMatrix();
+	return solveLadder(ladder_geometry(), target);
+}
+
+/**
+ * Moves the ladder so that its tip reaches a point, or gets as close to it as
+ * the limits of the ladder allow. A locked ladder (see ladder_locked) does not
+ * move.
+ *
+ * @param {number[]} target - The point, in world coordinates.
+ * @returns {boolean} Whether the tip reaches the point.
+ */
+function aim_ladder(target) {
+	if (ladder_locked()) return false;
+
+	const { angle, tilt, extension, reachable } = solve_ladder(target);
+
+	ladder_user_angle = angle;
+	ladder_user_tilt = tilt;
+	ladder_user_extension = extension;
+	update_ladder();
+
+	return reachable;
+}
+
+/**
+ * Returns the point the ladder is aimed at from the control panel.
+ *
+ * @returns {number[]} The point, in world coordinates.
+ */
+function ladder_target() {
+	return vec3(ladderTarget.x, ladderTarget.y, ladderTarget.z);
+}
+
+/**
+ * Shows or hides the reach envelope of the ladder on the floor.
+ */
+function toggle_reach_envelope() {
+	showReachEnvelope = !showReachEnvelope;
+	update_reach_envelope();
+}
+
+/**
+ * Tints the floor squares the tip of the ladder can reach above, or gives
+ * them back their own color if the reach envelope is hidden.
+ *
+ * The ladder turns all the way around, and lying flat it reaches as far as it
+ * is long (any nearer point is reached by raising it), so the envelope is a
+ * disc around the turntable: one tint within reach of the retracted ladder,
+ * another within reach of the fully extended one.
+ */
+function update_reach_envelope() {
+	const geometry = ladder_geometry();
+	const center = mult(geometry.base, vec4(0, 0, 0, 1));
+	const retracted = ladderLength(geometry, 0);
+	const extended = ladderLength(geometry, 1);
+
+	floorSquares.forEach(({ node, color }) => {
+		const distance = Math.hypot(
+			node.worldMatrix[0][3] - center[0],
+			node.worldMatrix[2][3] - center[2]
+		);
+
+		let tint = null;
+		if (showReachEnvelope && distance <= retracted) {
+			tint = CONSTANTS.REACH_RETRACTED_COLOR;
+		} else if (showReachEnvelope && distance <= extended) {
+			tint = CONSTANTS.REACH_EXTENDED_COLOR;
+		}
+		node.drawInfo.color = tint ? mix(color, tint, CONSTANTS.REACH_TINT) : color;
+	});
+}
+
 /**
  * Draws the base of the ladder.
  *
@@ -1753,7 +4012,7 @@ function draw_ladder(parent) {
  * @param {Node} parent - The node to which the ladder base components will be attached.
  */
 function draw_ladder_base(parent) {
-	const base = new Node();
+	const base = new Node("base");
 	base.scale(
 		CONSTANTS.LADDER_BASE_WIDTH,
 		CONSTANTS.LADDER_BASE_HEIGHT,
@@ -1763,9 +4022,10 @@ function draw_ladder_base(parent) {
 		primitive: CYLINDER,
 		color: CONSTANTS.COLORS.WHITE,
 		currentMode,
+		material: CONSTANTS.MATERIALS.METAL,
 	};
 
-	const block = new Node();
+	const block = new Node("block");
 	block.scale(
 		CONSTANTS.BASE_BLOCK_WIDTH,
 		CONSTANTS.BASE_BLOCK_HEIGHT,
@@ -1776,6 +4036,7 @@ function draw_ladder_base(parent) {
 		primitive: CUBE,
 		color: CONSTANTS.COLORS.WHITE,
 		currentMode,
+		material: CONSTANTS.MATERIALS.METAL,
 	};
 
 	block.setParent(parent);
@@ -1792,8 +4053,8 @@ function draw_ladder_base(parent) {
  * @param {Node} parent - The parent node to which the ladder steps will be attached.
  */
 function draw_ladder_steps(parent) {
-	const leftPart = new Node();
-	const rightPart = new Node();
+	const leftPart = new Node("left_rail");
+	const rightPart = new Node("right_rail");
 
 	leftPart.scale(
 		CONSTANTS.LADDER_PART_WIDTH,
@@ -1809,6 +4070,7 @@ function draw_ladder_steps(parent) {
 		primitive: CUBE,
 		color: CONSTANTS.COLORS.GREY,
 		currentMode,
+		material: CONSTANTS.MATERIALS.METAL,
 	};
 	leftPart.setParent(parent);
 
@@ -1826,14 +4088,15 @@ function draw_ladder_steps(parent) {
 		primitive: CUBE,
 		color: CONSTANTS.COLORS.GREY,
 		currentMode,
+		material: CONSTANTS.MATERIALS.METAL,
 	};
 	rightPart.setParent(parent);
 
-	const steps = new Node();
+	const steps = new Node("steps");
 	steps.translate(-CONSTANTS.LADDER_STEP_SPACING, 0, 0);
 	steps.setParent(parent);
 	for (let i = 1; i < CONSTANTS.MAX_LADDER_STEPS; i++) {
-		const step = new Node();
+		const step = new Node(`step_${i}`);
 		step.scale(
 			CONSTANTS.LADDER_STEP_WIDTH,
 			CONSTANTS.LADDER_STEP_HEIGHT,
@@ -1845,55 +4108,83 @@ function draw_ladder_steps(parent) {
 			primitive: CUBE,
 			color: CONSTANTS.COLORS.GREY,
 			currentMode,
+			material: CONSTANTS.MATERIALS.METAL,
 		};
 		step.setParent(steps);
 	}
 }
 
 /**
- * Increases the ladder user offset.
+ * Increases the ladder user extension.
+ *
+ * @param {number} amount - The fraction of the full extension to extend the ladder by.
  */
-function increaseLadderUserOffset() {
-	ladder_user_offset_x =
-		ladder_user_offset_x >= 0.9 ? 0.9 : ladder_user_offset_x + 0.01;
-	TOP_LADDER_OFFSET_X = -ladder_user_offset_x * CONSTANTS.LADDER_PART_WIDTH;
+function increaseLadderUserExtension(amount) {
+	ladder_user_extension = Math.min(ladder_user_extension + amount, 1);
+	update_ladder();
 }
 
 /**
- * Decreases the ladder user offset.
+ * Decreases the ladder user extension.
+ *
+ * @param {number} amount - The fraction of the full extension to retract the ladder by.
  */
-function decreaseLadderUserOffset() {
-	ladder_user_offset_x =
-		ladder_user_offset_x <= 0.1 ? 0.1 : ladder_user_offset_x - 0.01;
-	CONSTANTS.TOP_LADDER_OFFSET_X =
-		-ladder_user_offset_x * CONSTANTS.LADDER_PART_WIDTH;
+function decreaseLadderUserExtension(amount) {
+	ladder_user_extension = Math.max(ladder_user_extension - amount, 0);
+	update_ladder();
 }
 
 /**
- * Increases the ladder user angle.
+ * Increases the ladder user angle, unless the ladder is locked (see
+ * ladder_locked).
+ *
+ * @param {number} amount - The angle to rotate by, in degrees.
  */
-function increaseLadderUserAngle() {
-	ladder_user_angle += 5;
+function increaseLadderUserAngle(amount) {
+	if (ladder_locked()) return;
+
+	ladder_user_angle += amount;
+	update_ladder();
 }
 
 /**
- * Decreases the ladder user angle.
+ * Decreases the ladder user angle, unless the ladder is locked (see
+ * ladder_locked).
+ *
+ * @param {number} amount - The angle to rotate by, in degrees.
  */
-function decreaseLadderUserAngle() {
-	ladder_user_angle -= 5;
+function decreaseLadderUserAngle(amount) {
+	if (ladder_locked()) return;
+
+	ladder_user_angle -= amount;
+	update_ladder();
 }
 
 /**
- * Decreases the ladder user tilt.
+ * Decreases the ladder user tilt, raising the ladder, unless it is locked
+ * (see ladder_locked).
+ *
+ * @param {number} amount - The angle to raise the ladder by, in degrees.
  */
-function decreaseLadderUserTilt() {
-	ladder_user_tilt = ladder_user_tilt <= -180 ? -180 : ladder_user_tilt - 5;
+function decreaseLadderUserTilt(amount) {
+	if (ladder_locked()) return;
+
+	ladder_user_tilt = Math.max(
+		ladder_user_tilt - amount,
+		CONSTANTS.MIN_LADDER_USER_TILT
+	);
+	update_ladder();
 }
 
 /**
  * Increases the ladder user tilt.
+ *
+ * @param {number} amount - The angle to lower the ladder by, in degrees.
  */
-function increaseLadderUserTilt() {
-	ladder_user_tilt = ladder_user_tilt >= 0 ? 0 : ladder_user_tilt + 5;
+function increaseLadderUserTilt(amount) {
+	ladder_user_tilt = Math.min(
+		ladder_user_tilt + amount,
+		CONSTANTS.MAX_LADDER_USER_TILT
+	);
+	update_ladder();
 }
-
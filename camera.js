@@ -0,0 +1,234 @@
+import {
+  lookAt,
+  ortho,
+  perspective,
+  vec3,
+  add,
+  subtract,
+  normalize,
+  scale,
+  mult,
+  vec4,
+} from "./libs/MV.js";
+
+/**
+ * @typedef {Object} Orbit
+ * @property {number} theta - Angle around the vertical axis, in degrees.
+ * @property {number} gamma - Angle above the horizontal plane, in degrees.
+ * @property {number} distance - Distance from the eye to the target.
+ */
+
+/**
+ * @typedef {Object} Projection
+ * @property {string} type - "orthographic" or "perspective".
+ * @property {number} fov - Vertical field of view in degrees (perspective only).
+ * @property {number} near - Distance to the near clipping plane.
+ * @property {number} far - Distance to the far clipping plane.
+ */
+
+export default class Camera {
+  /**
+   * @param {number[]} eye - Position of the camera.
+   * @param {number[]} at - Point the camera looks at.
+   * @param {number[]} up - Up direction of the camera.
+   * @param {Projection} [projection] - The projection, orthographic by default.
+   * @param {number} [zoom] - Half-height of the framed area at the target.
+   */
+  constructor(eye, at, up, projection = Camera.orthographic(), zoom = 1) {
+    this.eye = eye;
+    this.at = at;
+    this.up = up;
+    /** @type {Projection} */
+    this.projection = projection;
+    this.zoom = zoom;
+    /**
+     * Position of the eye around the target, null for cameras with a fixed direction.
+     * @type {Orbit|null}
+     */
+    this.orbit = null;
+    // State restored by reset
+    this.home = { eye, at, zoom };
+  }
+
+  /**
+   * Creates orthographic projection settings.
+   *
+   * @param {number} [near] - Distance to the near clipping plane.
+   * @param {number} [far] - Distance to the far clipping plane.
+   * @returns {Projection} The projection settings.
+   */
+  static orthographic(near = -100, far = 100) {
+    return { type: "orthographic", fov: 45, near, far };
+  }
+
+  /**
+   * Creates perspective projection settings.
+   *
+   * @param {number} [fov] - Vertical field of view in degrees.
+   * @param {number} [near] - Distance to the near clipping plane.
+   * @param {number} [far] - Distance to the far clipping plane.
+   * @returns {Projection} The projection settings.
+   */
+  static perspective(fov = 45, near = 0.1, far = 500) {
+    return { type: "perspective", fov, near, far };
+  }
+
+  get isPerspective() {
+    return this.projection.type === "perspective";
+  }
+
+  /**
+   * Places the eye on a sphere around the target, which makes the camera orbit
+   * instead of looking in a fixed direction.
+   *
+   * @param {number} theta - Angle around the vertical axis, in degrees.
+   * @param {number} gamma - Angle above the horizontal plane, in degrees.
+   * @param {number} distance - Distance from the eye to the target.
+   */
+  setOrbit(theta, gamma, distance) {
+    this.orbit = { theta, gamma, distance };
+
+    const t = (theta * Math.PI) / 180;
+    const g = (gamma * Math.PI) / 180;
+    this.eye = add(
+      this.at,
+      vec3(
+        distance * Math.cos(t) * Math.cos(g),
+        distance * Math.sin(g),
+        distance * Math.sin(t) * Math.cos(g)
+      )
+    );
+  }
+
+  /**
+   * Moves the eye and the target together.
+   *
+   * @param {number[]} offset - The displacement, in world coordinates.
+   */
+  pan(offset) {
+    this.at = add(this.at, offset);
+    this.eye = add(this.eye, offset);
+  }
+
+  /**
+   * Restores the target and the zoom the camera was created with. An orbiting
+   * camera keeps its angles.
+   */
+  reset() {
+    this.at = this.home.at;
+    this.zoom = this.home.zoom;
+
+    if (this.orbit) {
+      const { theta, gamma, distance } = this.orbit;
+      this.setOrbit(theta, gamma, distance);
+    } else {
+      this.eye = this.home.eye;
+    }
+  }
+
+  /**
+   * Returns the world directions of the right and up axes of the screen.
+   *
+   * @returns {{right: vec3, up: vec3}} The camera axes.
+   */
+  axes() {
+    const view = this.viewMatrix();
+    return {
+      right: vec3(view[0][0], view[0][1], view[0][2]),
+      up: vec3(view[1][0], view[1][1], view[1][2]),
+    };
+  }
+
+  /**
+   * Returns the position the camera is rendered from.
+   *
+   * An orthographic camera uses its eye as is. A perspective camera is moved
+   * along its view direction so that, at the target, it frames the same
+   * half-height (zoom) an orthographic camera would, which keeps zooming
+   * consistent between both projections.
+   *
+   * @param {number} [zoom] - Half-height of the framed area at the target.
+   * @returns {number[]} The eye position.
+   */
+  effectiveEye(zoom = this.zoom) {
+    if (!this.isPerspective) return this.eye;
+
+    const distance = zoom / Math.tan((this.projection.fov * Math.PI) / 360);
+    const direction = normalize(subtract(this.eye, this.at));
+    return add(this.at, scale(distance, direction));
+  }
+
+  /**
+   * @param {number} [zoom] - Half-height of the framed area at the target.
+   * @returns {mat4} The view matrix.
+   */
+  viewMatrix(zoom = this.zoom) {
+    return lookAt(vec3(...this.effectiveEye(zoom)), this.at, this.up);
+  }
+
+  /**
+   * @param {number} aspect - Width over height of the viewport.
+   * @param {number} [zoom] - Half-height of the framed area at the target.
+   * @returns {mat4} The projection matrix.
+   */
+  projectionMatrix(aspect, zoom = this.zoom) {
+    const { fov, near, far } = this.projection;
+
+    return this.isPerspective
+      ? perspective(fov, aspect, near, far)
+      : ortho(-aspect * zoom, aspect * zoom, -zoom, zoom, near, far);
+  }
+
+  /**
+   * Returns the smallest zoom that shows the whole box, with the target kept
+   * at the center of the view.
+   *
+   * Every corner of the box must fall inside the frame: a corner at (x, y)
+   * from the target on screen and z towards the camera needs a half-height of
+   * max(|x| / aspect, |y|) * margin, plus z * tan(fov / 2) in perspective
+   * because the nearer it is the larger it looks.
+   *
+   * @param {import("./graphNode.js").AABB} box - The box to frame, in world coordinates.
+   * @param {number} aspect - Width over height of the viewport.
+   * @param {number} [margin] - How much larger than the box the frame is.
+   * @returns {number} The zoom.
+   */
+  zoomToFit(box, aspect, margin = 1) {
+    // Only the orientation of the view matters, measured from the target
+    const view = lookAt(vec3(...this.eye), this.at, this.up);
+    const target = mult(view, vec4(...this.at, 1));
+    const tanHalfFov = this.isPerspective
+      ? Math.tan((this.projection.fov * Math.PI) / 360)
+      : 0;
+
+    let zoom = 0;
+    for (let corner = 0; corner < 8; corner++) {
+      const point = mult(
+        view,
+        vec4(
+          corner & 1 ? box.max[0] : box.min[0],
+          corner & 2 ? box.max[1] : box.min[1],
+          corner & 4 ? box.max[2] : box.min[2],
+          1
+        )
+      );
+      const [x, y, z] = [0, 1, 2].map((axis) => point[axis] - target[axis]);
+
+      zoom = Math.max(
+        zoom,
+        Math.max(Math.abs(x) / aspect, Math.abs(y)) * margin + z * tanHalfFov
+      );
+    }
+    return zoom;
+  }
+
+  /**
+   * Switches between orthographic and perspective projection, keeping the
+   * default clipping planes of each.
+   */
+  toggleProjection() {
+    this.projection = this.isPerspective
+      ? Camera.orthographic()
+      : Camera.perspective(this.projection.fov);
+  }
+}
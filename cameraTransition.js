@@ -0,0 +1,128 @@
+import {
+  mat4,
+  add,
+  subtract,
+  scale,
+  normalize,
+  mix,
+  dot,
+  cross,
+  length,
+} from "./libs/MV.js";
+import Camera from "./camera.js";
+
+/**
+ * A camera moving from one camera to another over a given duration.
+ *
+ * Both ends are followed while the transition runs, so it also works between
+ * cameras that move. The view direction and the up vector turn along the
+ * shortest arc, the target and the distance of the eye move in a straight
+ * line and the zoom changes geometrically. Switching between orthographic and
+ * perspective blends the two projection matrices.
+ */
+export default class CameraTransition extends Camera {
+  /**
+   * @param {Camera} from - The camera the transition starts from.
+   * @param {Camera} to - The camera the transition ends on.
+   * @param {number} duration - The duration of the transition, in seconds.
+   */
+  constructor(from, to, duration) {
+    super(from.eye, from.at, from.up, from.projection, from.zoom);
+    this.from = from;
+    this.to = to;
+    this.duration = duration;
+    this.elapsed = 0;
+    /** How far the transition is, from 0 to 1, eased in and out. */
+    this.blend = 0;
+    this.update(0);
+  }
+
+  get done() {
+    return this.elapsed >= this.duration;
+  }
+
+  get isPerspective() {
+    return (this.blend < 0.5 ? this.from : this.to).isPerspective;
+  }
+
+  /**
+   * Advances the transition and moves the camera accordingly.
+   *
+   * @param {number} dt - The time elapsed since the last update, in seconds.
+   */
+  update(dt) {
+    // A transition started from another one keeps that one moving
+    if (this.from instanceof CameraTransition) this.from.update(dt);
+
+    this.elapsed = Math.min(this.elapsed + dt, this.duration);
+    const t = this.duration > 0 ? this.elapsed / this.duration : 1;
+    this.blend = t * t * (3 - 2 * t);
+
+    const { from, to, blend } = this;
+    const fromOffset = subtract(from.effectiveEye(), from.at);
+    const toOffset = subtract(to.effectiveEye(), to.at);
+
+    this.at = mix(from.at, to.at, blend);
+    this.up = slerp(normalize(from.up), normalize(to.up), blend);
+    this.zoom = from.zoom * Math.pow(to.zoom / from.zoom, blend);
+    this.eye = add(
+      this.at,
+      scale(
+        (1 - blend) * length(fromOffset) + blend * length(toOffset),
+        slerp(normalize(fromOffset), normalize(toOffset), blend)
+      )
+    );
+  }
+
+  /**
+   * The eye is already placed where the blended projection needs it.
+   *
+   * @returns {number[]} The eye position.
+   */
+  effectiveEye() {
+    return this.eye;
+  }
+
+  /**
+   * @param {number} aspect - Width over height of the viewport.
+   * @param {number} [zoom] - Half-height of the framed area at the target.
+   * @returns {mat4} The projection matrix, blended between both cameras.
+   */
+  projectionMatrix(aspect, zoom = this.zoom) {
+    const a = this.from.projectionMatrix(aspect, zoom);
+    const b = this.to.projectionMatrix(aspect, zoom);
+
+    const result = mat4();
+    for (let i = 0; i < 4; i++) {
+      for (let j = 0; j < 4; j++) {
+        result[i][j] = (1 - this.blend) * a[i][j] + this.blend * b[i][j];
+      }
+    }
+    return result;
+  }
+}
+
+/**
+ * Turns a unit vector towards another one along the shortest arc.
+ *
+ * @param {number[]} a - The unit vector at t = 0.
+ * @param {number[]} b - The unit vector at t = 1.
+ * @param {number} t - How far to turn, from 0 to 1.
+ * @returns {number[]} The unit vector in between.
+ */
+function slerp(a, b, t) {
+  const angle = Math.acos(Math.min(Math.max(dot(a, b), -1), 1));
+  if (angle < 1e-6) return a;
+
+  // Opposite vectors have no shortest arc, any perpendicular one will do
+  let normal = cross(a, b);
+  if (length(normal) < 1e-6) {
+    normal = cross(a, Math.abs(a[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0]);
+  }
+  const perpendicular = normalize(cross(normalize(normal), a));
+
+  return add(
+    scale(Math.cos(angle * t), a),
+    scale(Math.sin(angle * t), perpendicular)
+  );
+}
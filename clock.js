@@ -0,0 +1,80 @@
+/**
+ * The clock that drives every animation of the scene.
+ *
+ * Each frame it turns the wall time elapsed since the previous frame into a
+ * delta time in seconds, scaled by the time scale and zero while paused, so
+ * the animations run at the same speed regardless of the refresh rate.
+ */
+export default class Clock {
+  /**
+   * @param {number} [maxDelta] - Longest step in seconds, so the scene does
+   *  not jump after the tab was in the background.
+   * @param {number} [stepDelta] - Duration of a single step while paused, in seconds.
+   */
+  constructor(maxDelta = 0.1, stepDelta = 1 / 60) {
+    this.maxDelta = maxDelta;
+    this.stepDelta = stepDelta;
+    this.timeScale = 1;
+    this.paused = false;
+    /** Scaled time elapsed since the clock started, in seconds. */
+    this.time = 0;
+    /** Wall time elapsed between the last two ticks in seconds, even while paused. */
+    this.realDelta = 0;
+    this.lastNow = null;
+    this.pendingSteps = 0;
+  }
+
+  /**
+   * Advances the clock to the given wall time.
+   *
+   * @param {number} now - The current time in milliseconds, as given by requestAnimationFrame.
+   * @returns {number} The scaled time elapsed since the last tick, in seconds.
+   */
+  tick(now) {
+    const elapsed =
+      this.lastNow === null
+        ? 0
+        : Math.min((now - this.lastNow) / 1000, this.maxDelta);
+    this.lastNow = now;
+    this.realDelta = elapsed;
+
+    let delta;
+    if (!this.paused) {
+      delta = elapsed * this.timeScale;
+    } else if (this.pendingSteps > 0) {
+      this.pendingSteps--;
+      delta = this.stepDelta * this.timeScale;
+    } else {
+      delta = 0;
+    }
+
+    this.time += delta;
+    return delta;
+  }
+
+  /**
+   * Pauses or resumes the clock.
+   */
+  togglePause() {
+    this.paused = !this.paused;
+    this.pendingSteps = 0;
+  }
+
+  /**
+   * Advances a paused clock by a single step on the next tick.
+   */
+  step() {
+    if (this.paused) this.pendingSteps++;
+  }
+
+  /**
+   * Sets the time scale, within the given bounds.
+   *
+   * @param {number} timeScale - How fast the time runs (1 is real time).
+   * @param {number} [min] - The slowest time scale.
+   * @param {number} [max] - The fastest time scale.
+   */
+  setTimeScale(timeScale, min = 0.125, max = 4) {
+    this.timeScale = Math.min(Math.max(timeScale, min), max);
+  }
+}
@@ -1,13 +1,50 @@
+import { DEFAULT_TRUCK_CONFIG } from "./truckConfig.js";
+
 export {
   TRUCK_CONFIG,
+  applyTruckConfig,
   CAMERA_OFFSET,
   DEFAULT_GAMMA,
   DEFAULT_THETA,
   ANGLE_INCREMENT,
+  MAX_GAMMA,
+  ORBIT_SENSITIVITY,
+  CLICK_TOLERANCE,
+  FRAME_MARGIN,
+  MIN_FRAME_ZOOM,
+  LAYOUT_STORAGE_KEY,
+  CAMERA_TRANSITION_DURATION,
+  MAX_CAMERA_TRANSITION_DURATION,
+  CHASE_CAMERA_DISTANCE,
+  CHASE_CAMERA_HEIGHT,
+  CHASE_CAMERA_LAG,
+  MAX_CHASE_CAMERA_DISTANCE,
+  MAX_CHASE_CAMERA_LAG,
+  CAB_CAMERA_FOV,
+  CAB_CAMERA_FOCUS,
+  CAB_EYE_INSET,
+  LADDER_CAMERA_FOV,
+  LADDER_CAMERA_FOCUS,
   DRAW_DEFAULT_MODE,
+  MIN_BOUNDS_SIZE,
   FLOOR_HEIGHT,
   FLOOR_SQUARES_PER_SIDE,
   COLORS,
+  MATERIALS,
+  SUN_DIRECTION,
+  SUN_INTENSITIES,
+  LAMP_POSITION,
+  LAMP_INTENSITIES,
+  HEADLIGHT_AXIS,
+  HEADLIGHT_CUTOFF,
+  HEADLIGHT_EXPONENT,
+  HEADLIGHT_INTENSITIES,
+  SIREN_LIGHT_CUTOFF,
+  SIREN_LIGHT_EXPONENT,
+  SIREN_LIGHT_INTENSITY,
+  SIREN_LIGHT_ATTENUATION,
+  SIREN_ROTATION_SPEED,
+  FLASH_PERIOD,
   DEFAULT_ZOOM,
   TRUCK_OFFSET,
   WHEEL_RADIUS,
@@ -21,7 +58,10 @@ export {
   WHEEL_THICKNESS,
   RIM_RADIUS,
   RIM_THICKNESS,
-  TRANSLATION_INCREMENT,
+  TRUCK_SPEED,
+  DEFAULT_HEADING,
+  STEERING_INCREMENT,
+  MAX_STEERING_ANGLE,
   UNDER_BODY_OFFSET,
   UPPER_PLAQUE_WIDTH,
   UPPER_PLAQUE_HEIGHT,
@@ -40,6 +80,15 @@ export {
   EDGE_BUMPER_HEIGHT,
   EDGE_BUMPER_LENGTH,
   EDGE_BUMPER_OFFSET_X,
+  OUTRIGGER_OFFSET_X,
+  OUTRIGGER_OFFSET_Y,
+  OUTRIGGER_BEAM_WIDTH,
+  OUTRIGGER_BEAM_HEIGHT,
+  OUTRIGGER_BEAM_LENGTH,
+  OUTRIGGER_REACH,
+  OUTRIGGER_FOOT_SIZE,
+  OUTRIGGER_FOOT_HEIGHT,
+  OUTRIGGER_DROP,
   FRONT_BLINKER_WIDTH,
   FRONT_BLINKER_HEIGHT,
   FRONT_BLINKER_LENGTH,
@@ -90,7 +139,35 @@ export {
   TOTAL_CUBES,
   DEFAULT_ROLL_UP,
   IS_ROLLING_UP_DEFAULT,
-  ROLL_UP_PROGRESS,
+  ROLL_UP_SPEED,
+  DEFAULT_PUMP_PRESSURE,
+  MIN_PUMP_PRESSURE,
+  MAX_PUMP_PRESSURE,
+  JET_SPEED_PER_PRESSURE,
+  TANK_DRAIN_RATE,
+  WATER_JET,
+  WATER_DROP_SIZE,
+  TAP_WHEEL_TURN_PER_PRESSURE,
+  TAP_WHEEL_SPEED,
+  TAP_WHEEL_EASING,
+  TAP_WHEEL_DRAG_SENSITIVITY,
+  DEFAULT_OUTRIGGERS_DEPLOYED,
+  OUTRIGGER_SPEED,
+  LADDER_EXTENSION_SPEED,
+  LADDER_ROTATION_SPEED,
+  LADDER_TILT_SPEED,
+  TIME_SCALE_FACTOR,
+  DEFAULT_LADDER_EXTENSION,
+  LADDER_EXTENSION_MODES,
+  DEFAULT_LADDER_EXTENSION_MODE,
+  DEFAULT_LADDER_TARGET,
+  REACH_RETRACTED_COLOR,
+  REACH_EXTENDED_COLOR,
+  REACH_TINT,
+  MIN_LADDER_USER_TILT,
+  MAX_LADDER_USER_TILT,
+  GUI_MIN_ZOOM,
+  GUI_MAX_ZOOM,
   AXE_BODY_WIDTH,
   AXE_BODY_HEIGHT,
   AXE_BODY_LENGTH,
@@ -162,8 +239,10 @@ export {
   LADDER_STEP_LENGTH,
   MAX_LADDER_STEPS,
   LADDER_STEP_SPACING,
-  TOP_LADDER_OFFSET_X,
-  TOP_LADDER_OFFSET_Y,
+  LADDER_SECTION_COUNT,
+  LADDER_SECTION_OFFSET_Y,
+  MIN_LADDER_SECTION_OFFSET,
+  MAX_LADDER_SECTION_OFFSET,
 };
 
 // Colors
@@ -180,495 +259,829 @@ const COLORS = {
   ORANGE: [1, 0.5, 0, 1],
 };
 
-// Constants for the movement
-const DEFAULT_TRANSLATION = 0;
-const DEFAULT_ROTATION = 0;
-const TRANSLATION_INCREMENT = 0.2;
-
-// Constants for the floor
-const FLOOR_HEIGHT = 0.1;
-const FLOOR_SQUARES_PER_SIDE = 15;
-
-// Constants for the truck
-const TRUCK_SIZE_MULTIPLIER = 1; // Makes truck bigger or smaller overall (1 is default)
-
-// Factors to determine truck dimensions
-const TRUCK_FACTORS = {
-  WIDTH_FACTOR: 20,
-  HEIGHT_FACTOR: 6,
-  LENGTH_FACTOR: 8,
+// Tints of the floor squares the ladder reaches, retracted and fully extended
+const REACH_RETRACTED_COLOR = COLORS.GREEN;
+const REACH_EXTENDED_COLOR = COLORS.ORANGE;
+const REACH_TINT = 0.5; // How much of the tint is mixed into the color of the squares
+
+// Materials (reflection coefficients applied to the node colors)
+const MATERIALS = {
+  PAINT: { ambient: 0.3, diffuse: 0.8, specular: 0.6, shininess: 60 },
+  RUBBER: { ambient: 0.3, diffuse: 0.7, specular: 0.05, shininess: 5 },
+  METAL: { ambient: 0.3, diffuse: 0.6, specular: 0.9, shininess: 100 },
+  GLASS: { ambient: 0.3, diffuse: 0.5, specular: 1.0, shininess: 120 },
+  FLOOR: { ambient: 0.4, diffuse: 0.8, specular: 0.1, shininess: 10 },
 };
 
-// Truck dimensions
-const TRUCK_CONFIG = {
-  WIDTH: TRUCK_SIZE_MULTIPLIER * TRUCK_FACTORS.WIDTH_FACTOR,
-  HEIGHT: TRUCK_SIZE_MULTIPLIER * TRUCK_FACTORS.HEIGHT_FACTOR,
-  LENGTH: TRUCK_SIZE_MULTIPLIER * TRUCK_FACTORS.LENGTH_FACTOR,
+// Constants for the lights
+const SUN_DIRECTION = [0.4, 1, 0.6]; // Points towards the sun
+const SUN_INTENSITIES = {
+  ambient: [0.3, 0.3, 0.3],
+  diffuse: [0.8, 0.8, 0.75],
+  specular: [1, 1, 1],
 };
 
-const WHEEL_RADIUS_FACTOR = 2; // (2 is default)
-const WHEEL_RADIUS = TRUCK_SIZE_MULTIPLIER * WHEEL_RADIUS_FACTOR; // Radius of the wheels of the truck (with the multiplier)
-
-const TRUCK_OFFSET = FLOOR_HEIGHT / 2 + WHEEL_RADIUS; // Offset of the truck from the center of the floor
-
-const WHEEL_THICKNESS_FACTOR = 0.5;
-const WHEEL_THICKNESS = WHEEL_RADIUS * WHEEL_THICKNESS_FACTOR;
-
-// Constants for the Axles
-const AXLE_ROTATION = 90;
-
-const DISTANCE_BETWEEN_AXLES_FACTOR = 0.6;
-const DISTANCE_BETWEEN_AXLES = Math.max(
-  (TRUCK_CONFIG.WIDTH * DISTANCE_BETWEEN_AXLES_FACTOR) / 2,
-  WHEEL_RADIUS
-);
+const LAMP_POSITION = [-12, 15, 12];
+const LAMP_INTENSITIES = {
+  diffuse: [0.4, 0.4, 0.45],
+  specular: [0.5, 0.5, 0.5],
+  attenuation: [1, 0.01, 0.001],
+};
 
-const AXLE_RADIUS_FACTOR = 0.1;
-const AXLE_RADIUS = WHEEL_RADIUS * AXLE_RADIUS_FACTOR;
+// Headlights are spot lights pointing forward (-X) and down onto the floor
+const HEADLIGHT_AXIS = [-1, -0.35, 0];
+const HEADLIGHT_CUTOFF = 25; // Half angle of the cone, in degrees
+const HEADLIGHT_EXPONENT = 8;
+const HEADLIGHT_INTENSITIES = {
+  diffuse: [1, 1, 0.85],
+  specular: [1, 1, 0.9],
+  attenuation: [1, 0.02, 0.002],
+};
 
-// Constants for the rims
-const RIM_RADIUS_FACTOR = 1.2;
-const RIM_RADIUS = WHEEL_RADIUS * RIM_RADIUS_FACTOR;
+// The siren is a rotating beacon that tints the geometry around the truck
+const SIREN_LIGHT_CUTOFF = 60;
+const SIREN_LIGHT_EXPONENT = 2;
+const SIREN_LIGHT_INTENSITY = 2.5; // Multiplies the siren color
+const SIREN_LIGHT_ATTENUATION = [1, 0.15, 0.03];
+const SIREN_ROTATION_SPEED = 480; // Degrees per second
 
-const RIM_THICKNESS_FACTOR = 0.1;
-const RIM_THICKNESS = WHEEL_THICKNESS * RIM_THICKNESS_FACTOR;
+// The siren and the blinkers switch color every FLASH_PERIOD seconds
+const FLASH_PERIOD = 0.5;
 
-const DISTANCE_BETWEEN_WHEELS_SAME_AXLE_FACTOR = 0.5;
-const DISTANCE_BETWEEN_WHEELS_SAME_AXLE =
-  TRUCK_CONFIG.LENGTH * DISTANCE_BETWEEN_WHEELS_SAME_AXLE_FACTOR;
+// Constants for the movement
+const DEFAULT_TRANSLATION = 0;
+const DEFAULT_ROTATION = 0;
+const TRUCK_SPEED = 6; // Units per second while 'a' or 'd' is held
+const DEFAULT_HEADING = 0; // Yaw of the truck around Y, in degrees (0 faces -X)
+const STEERING_INCREMENT = 5; // Degrees of steering per key press
+const MAX_STEERING_ANGLE = 35; // Steering lock of the (virtual) center front wheel
 
-const AXLE_LENGTH = DISTANCE_BETWEEN_WHEELS_SAME_AXLE * 2;
+// Constants for the floor
+const FLOOR_HEIGHT = 0.1;
+const FLOOR_SQUARES_PER_SIDE = 15;
 
+// Constants for the cameras
 const ANGLE_INCREMENT = 5; // The theta/gamma increase/decrease by this amount when the user presses the arrow keys
-const CAMERA_OFFSET = TRUCK_CONFIG.HEIGHT; // Camera offset based on the truck height
+const MAX_GAMMA = 89; // Keeps the axonometric camera from flipping over its up vector
+const ORBIT_SENSITIVITY = 0.4; // Degrees of theta/gamma per pixel dragged
+const CLICK_TOLERANCE = 4; // Pixels the mouse may move between press and release of a click
 const DEFAULT_THETA = 45;
 const DEFAULT_GAMMA = 30;
 const DEFAULT_ZOOM = 10;
+const FRAME_MARGIN = 1.1; // Framing leaves 10% of room around the framed parts
+const MIN_FRAME_ZOOM = 0.5; // Closest zoom when framing a small part
+const LAYOUT_STORAGE_KEY = "firetruck-layout"; // localStorage entry of the viewport layout
+const CAMERA_TRANSITION_DURATION = 0.6; // Seconds a view takes to move to the camera shown next (0 snaps)
+const MAX_CAMERA_TRANSITION_DURATION = 3;
+const CHASE_CAMERA_DISTANCE = 30; // How far behind the truck the chase camera follows it
+const CHASE_CAMERA_HEIGHT = 12; // How high above the truck the chase camera follows it
+const CHASE_CAMERA_LAG = 0.4; // Seconds the chase camera takes to catch up with the truck (0 is rigid)
+const MAX_CHASE_CAMERA_DISTANCE = 60;
+const MAX_CHASE_CAMERA_LAG = 2;
+const CAB_CAMERA_FOV = 70; // Field of view of the driver, in degrees
+const CAB_CAMERA_FOCUS = 10; // Distance to the point the cab camera looks at, where its zoom is measured
+const CAB_EYE_INSET = 0.05; // Distance from the eye of the driver to the windscreen, nearer than the near plane so the cab does not hide the road
+const LADDER_CAMERA_FOV = 60; // Field of view of the camera on the tip of the ladder, in degrees
+const LADDER_CAMERA_FOCUS = 10; // Distance to the point the ladder camera looks at, where its zoom is measured
 
 // Constants for the drawing
 const DRAW_DEFAULT_MODE = WebGL2RenderingContext.TRIANGLES;
+const MIN_BOUNDS_SIZE = 1e-3; // Thinnest side of a bounding box drawn by the debug overlay
 
-// Constant for the under body
-const UNDER_BODY_OFFSET = 0.5 * WHEEL_RADIUS + AXLE_RADIUS;
-
-// Constants for the lower plaque
-const LOWER_PLAQUE_HEIGHT_FACTOR = 1.1;
-const LOWER_PLAQUE_HEIGHT = LOWER_PLAQUE_HEIGHT_FACTOR * WHEEL_RADIUS;
-
-const LOWER_PLAQUE_WIDTH_FACTOR = 1.0;
-const LOWER_PLAQUE_WIDTH = TRUCK_CONFIG.WIDTH * LOWER_PLAQUE_WIDTH_FACTOR;
+// Constants for the roll-up door animation
+const DEFAULT_ROLL_UP = 0;
+const IS_ROLLING_UP_DEFAULT = false;
+const ROLL_UP_SPEED = 30; // Cubes per second
+
+// Constants for the water jet leaving the tip of the ladder
+const DEFAULT_PUMP_PRESSURE = 5; // Bar
+const MIN_PUMP_PRESSURE = 1;
+const MAX_PUMP_PRESSURE = 10;
+const JET_SPEED_PER_PRESSURE = 3; // Speed of the water leaving the nozzle per bar, in units per second
+const TANK_DRAIN_RATE = 0.005; // Fraction of the tank pumped out per second and per bar
+const WATER_JET = {
+  rate: 120, // Drops per second
+  gravity: 9.8, // Units per second squared
+  spread: 2, // Degrees around the direction of the ladder
+  lifetime: 5, // Seconds
+  maxDrops: 600,
+};
+const WATER_DROP_SIZE = 0.15; // Diameter of the spheres drawn for the drops
+
+// Constants for the tap wheel setting the pump pressure
+const TAP_WHEEL_TURN_PER_PRESSURE = 45; // Degrees the wheel turns per bar
+const TAP_WHEEL_SPEED = 3; // Bar per second while its keys are held
+const TAP_WHEEL_EASING = 0.3; // Time the pressure takes to follow the wheel, in seconds
+const TAP_WHEEL_DRAG_SENSITIVITY = 0.02; // Bar per pixel dragged
+
+// Constants for the outriggers, which must be set before the ladder moves
+const DEFAULT_OUTRIGGERS_DEPLOYED = false;
+const OUTRIGGER_SPEED = 0.5; // Fraction of the deployment per second
+
+// Speeds of the ladder while its keys are held
+const LADDER_EXTENSION_SPEED = 0.375; // Fraction of the full extension per second
+const LADDER_ROTATION_SPEED = 90; // Degrees per second
+const LADDER_TILT_SPEED = 60; // Degrees per second
+
+// '[' and ']' divide or multiply the time scale by this factor
+const TIME_SCALE_FACTOR = 2;
+
+// Limits of the ladder controls
+const DEFAULT_LADDER_EXTENSION = 0; // From 0 (retracted) to 1 (every section fully extended)
+// How the extension is shared by the sections: "proportional" slides them all
+// out together, "sequential" slides each one out fully before the next
+const LADDER_EXTENSION_MODES = ["proportional", "sequential"];
+const DEFAULT_LADDER_EXTENSION_MODE = "proportional";
+const DEFAULT_LADDER_TARGET = { x: 0, y: 12, z: 12 }; // Point the ladder is aimed at from the control panel
+const MIN_LADDER_USER_TILT = -180; // Ladder raised all the way over the cab
+const MAX_LADDER_USER_TILT = 0; // Ladder lying on the truck
+
+// Range of the zoom slider of the control panel (the mouse wheel is not limited)
+const GUI_MIN_ZOOM = 1;
+const GUI_MAX_ZOOM = 50;
+
+// Dimensions of the truck, computed from the truck configuration by applyTruckConfig
+let TRUCK_CONFIG,
+  WHEEL_RADIUS,
+  TRUCK_OFFSET,
+  WHEEL_THICKNESS,
+  AXLE_ROTATION,
+  DISTANCE_BETWEEN_AXLES,
+  AXLE_RADIUS,
+  RIM_RADIUS,
+  RIM_THICKNESS,
+  DISTANCE_BETWEEN_WHEELS_SAME_AXLE,
+  AXLE_LENGTH,
+  CAMERA_OFFSET,
+  UNDER_BODY_OFFSET,
+  LOWER_PLAQUE_HEIGHT,
+  LOWER_PLAQUE_WIDTH,
+  LOWER_PLAQUE_LENGTH,
+  UPPER_PLAQUE_WIDTH,
+  UPPER_PLAQUE_HEIGHT,
+  UPPER_PLAQUE_LENGTH,
+  UPPER_PLAQUE_OFFSET,
+  MIDDLE_SIDE_BUMPER_WIDTH,
+  SIDE_BUMPER_HEIGHT,
+  SIDE_BUMPER_LENGTH,
+  SIDE_BUMPER_OFFSET_Z,
+  EDGE_SIDE_BUMPER_WIDTH,
+  EDGE_SIDE_BUMPER_OFFSET_X,
+  EDGE_BUMPER_WIDTH,
+  EDGE_BUMPER_HEIGHT,
+  EDGE_BUMPER_LENGTH,
+  EDGE_BUMPER_OFFSET_X,
+  OUTRIGGER_OFFSET_X,
+  OUTRIGGER_OFFSET_Y,
+  OUTRIGGER_BEAM_WIDTH,
+  OUTRIGGER_BEAM_HEIGHT,
+  OUTRIGGER_BEAM_LENGTH,
+  OUTRIGGER_REACH,
+  OUTRIGGER_FOOT_SIZE,
+  OUTRIGGER_FOOT_HEIGHT,
+  OUTRIGGER_DROP,
+  FRONT_BLINKER_WIDTH,
+  FRONT_BLINKER_HEIGHT,
+  FRONT_BLINKER_LENGTH,
+  FRONT_BLINKER_OFFSET_X,
+  BLINKER_OFFSET_Y,
+  FRONT_BLINKER_OFFSET_Z,
+  BACK_BLINKER_WIDTH,
+  BACK_BLINKER_HEIGHT,
+  BACK_BLINKER_LENGTH,
+  BACK_BLINKER_OFFSET_X,
+  BACK_BLINKER_OFFSET_Z,
+  FRONT_BOX_WIDTH,
+  FRONT_BOX_HEIGHT,
+  FRONT_BOX_LENGTH,
+  FRONT_BODY_SETUP_OFFSET_X,
+  FRONT_BODY_SETUP_OFFSET_Y,
+  FRONT_WINDOW_HEIGHT,
+  FRONT_WINDOW_WIDTH,
+  FRONT_WINDOW_LENGTH,
+  FRONT_WINDOW_OFFSET_X,
+  FRONT_WINDOW_OFFSET_Y,
+  GLASS_NODE_SIZE,
+  FRONT_LIGHT_WIDTH,
+  FRONT_LIGHT_HEIGHT,
+  FRONT_LIGHT_LENGTH,
+  FRONT_LIGHT_OFFSET_X,
+  FRONT_LIGHT_OFFSET_Y,
+  FRONT_LIGHT_OFFSET_Z,
+  SIDE_WINDOW_WIDTH,
+  SIDE_WINDOW_HEIGHT,
+  SIDE_WINDOW_LENGTH,
+  LEFT_WINDOW_OFFSET_X,
+  RIGHT_WINDOW_OFFSET_X,
+  LEFT_WINDOW_OFFSET_Y,
+  RIGHT_WINDOW_OFFSET_Y,
+  LEFT_WINDOW_OFFSET_Z,
+  RIGHT_WINDOW_OFFSET_Z,
+  SIREN_SIZE,
+  SIREN_OFFSET_Y,
+  SIREN_GLASS_RATIO,
+  BACK_BOX_WIDTH,
+  BACK_BOX_HEIGHT,
+  BACK_BOX_LENGTH,
+  TOP_BOTTOM_WALLS_HEIGHT,
+  BACK_BODY_OFFSET_X,
+  BACK_BODY_OFFSET_Y,
+  RIGHT_LEFT_WALLS_WIDTH,
+  TOTAL_CUBES,
+  AXE_BODY_WIDTH,
+  AXE_BODY_HEIGHT,
+  AXE_BODY_LENGTH,
+  AXE_BODY_OFFSET_X,
+  AXE_BODY_OFFSET_Y,
+  AXE_BODY_OFFSET_Z,
+  AXE_HEAD_WIDTH,
+  AXE_HEAD_HEIGHT,
+  AXE_HEAD_LENGTH,
+  AXE_HEAD_OFFSET_X,
+  AXE_HEAD_OFFSET_Y,
+  AXE_HEAD_OFFSET_Z,
+  AXE_BODY_ROTATION,
+  AXE_HEAD_ROTATION,
+  WATER_WIDTH,
+  WATER_HEIGHT,
+  WATER_LENGTH,
+  WATER_GLASS_WIDTH,
+  WATER_GLASS_HEIGHT,
+  WATER_GLASS_LENGTH,
+  WATER_TANK_OFFSET_X,
+  WATER_TANK_OFFSET_Y,
+  WATER_TANK_OFFSET_Z,
+  BACK_TUBE_WIDTH,
+  BACK_TUBE_HEIGHT,
+  BACK_TUBE_LENGTH,
+  BACK_TUBE_OFFSET_X,
+  BACK_TUBE_OFFSET_Y,
+  BACK_TUBE_OFFSET_Z,
+  FRONT_TUBE_WIDTH,
+  FRONT_TUBE_HEIGHT,
+  FRONT_TUBE_LENGTH,
+  FRONT_TUBE_OFFSET_X,
+  FRONT_TUBE_OFFSET_Y,
+  FRONT_TUBE_OFFSET_Z,
+  UPPER_TUBE_WIDTH,
+  UPPER_TUBE_HEIGHT,
+  UPPER_TUBE_LENGTH,
+  UPPER_TUBE_OFFSET_X,
+  UPPER_TUBE_OFFSET_Y,
+  UPPER_TUBE_OFFSET_Z,
+  TAP_WHEEL_OFFSET_X,
+  TAP_WHEEL_OFFSET_Y,
+  TAP_WHEEL_OFFSET_Z,
+  TAP_WHEEL_WIDTH,
+  TAP_WHEEL_HEIGHT,
+  TAP_WHEEL_LENGTH,
+  TAP_WHEEL_VERTICAL_DETAIL_WIDTH,
+  TAP_WHEEL_VERTICAL_DETAIL_HEIGHT,
+  TAP_WHEEL_VERTICAL_DETAIL_LENGTH,
+  TAP_WHEEL_HORIZONTAL_DETAIL_WIDTH,
+  TAP_WHEEL_HORIZONTAL_DETAIL_HEIGHT,
+  TAP_WHEEL_HORIZONTAL_DETAIL_LENGTH,
+  LADDER_BASE_WIDTH,
+  LADDER_BASE_HEIGHT,
+  BASE_BLOCK_WIDTH,
+  BASE_BLOCK_HEIGHT,
+  BASE_BLOCK_OFFSET_Y,
+  LADDER_PART_WIDTH,
+  LADDER_PART_HEIGHT,
+  LADDER_PART_LENGTH,
+  LADDER_PART_OFFSET_X,
+  LADDER_PART_OFFSET_Y,
+  LADDER_PART_OFFSET_Z,
+  LADDER_STEP_WIDTH,
+  LADDER_STEP_HEIGHT,
+  LADDER_STEP_LENGTH,
+  MAX_LADDER_STEPS,
+  LADDER_STEP_SPACING,
+  LADDER_SECTION_COUNT,
+  LADDER_SECTION_OFFSET_Y,
+  MIN_LADDER_SECTION_OFFSET,
+  MAX_LADDER_SECTION_OFFSET,
+  LADDER_SETUP_OFFSET_X,
+  LADDER_SETUP_OFFSET_Y;
 
-const LOWER_PLAQUE_LENGTH_FACTOR = 1.0;
-const LOWER_PLAQUE_LENGTH = TRUCK_CONFIG.LENGTH * LOWER_PLAQUE_LENGTH_FACTOR;
+/**
+ * Computes every dimension of the truck from the given configuration.
+ *
+ * The dimensions are live bindings, so modules that import them see the new
+ * values right away; the scene graph still has to be rebuilt to show them.
+ *
+ * @param {import("./truckConfig.js").TruckConfig} config - A validated truck configuration.
+ */
+function applyTruckConfig(config) {
+  const TRUCK_SIZE_MULTIPLIER = config.TRUCK_SIZE_MULTIPLIER;
+
+  // Factors to determine truck dimensions
+  const TRUCK_FACTORS = config.TRUCK_FACTORS;
+
+  // Truck dimensions
+  TRUCK_CONFIG = {
+    WIDTH: TRUCK_SIZE_MULTIPLIER * TRUCK_FACTORS.WIDTH_FACTOR,
+    HEIGHT: TRUCK_SIZE_MULTIPLIER * TRUCK_FACTORS.HEIGHT_FACTOR,
+    LENGTH: TRUCK_SIZE_MULTIPLIER * TRUCK_FACTORS.LENGTH_FACTOR,
+  };
+
+  const WHEEL_RADIUS_FACTOR = config.WHEEL_RADIUS_FACTOR;
+  WHEEL_RADIUS = TRUCK_SIZE_MULTIPLIER * WHEEL_RADIUS_FACTOR; // Radius of the wheels of the truck (with the multiplier)
+
+  TRUCK_OFFSET = FLOOR_HEIGHT / 2 + WHEEL_RADIUS; // Offset of the truck from the center of the floor
+
+  const WHEEL_THICKNESS_FACTOR = config.WHEEL_THICKNESS_FACTOR;
+  WHEEL_THICKNESS = WHEEL_RADIUS * WHEEL_THICKNESS_FACTOR;
+
+  // Constants for the Axles
+  AXLE_ROTATION = 90;
+
+  const DISTANCE_BETWEEN_AXLES_FACTOR = config.DISTANCE_BETWEEN_AXLES_FACTOR;
+  DISTANCE_BETWEEN_AXLES = Math.max(
+    (TRUCK_CONFIG.WIDTH * DISTANCE_BETWEEN_AXLES_FACTOR) / 2,
+    WHEEL_RADIUS
+  );
+
+  const AXLE_RADIUS_FACTOR = config.AXLE_RADIUS_FACTOR;
+  AXLE_RADIUS = WHEEL_RADIUS * AXLE_RADIUS_FACTOR;
+
+  // Constants for the rims
+  const RIM_RADIUS_FACTOR = config.RIM_RADIUS_FACTOR;
+  RIM_RADIUS = WHEEL_RADIUS * RIM_RADIUS_FACTOR;
+
+  const RIM_THICKNESS_FACTOR = config.RIM_THICKNESS_FACTOR;
+  RIM_THICKNESS = WHEEL_THICKNESS * RIM_THICKNESS_FACTOR;
+
+  const DISTANCE_BETWEEN_WHEELS_SAME_AXLE_FACTOR =
+    config.DISTANCE_BETWEEN_WHEELS_SAME_AXLE_FACTOR;
+  DISTANCE_BETWEEN_WHEELS_SAME_AXLE =
+    TRUCK_CONFIG.LENGTH * DISTANCE_BETWEEN_WHEELS_SAME_AXLE_FACTOR;
+
+  AXLE_LENGTH = DISTANCE_BETWEEN_WHEELS_SAME_AXLE * 2;
+
+  CAMERA_OFFSET = TRUCK_CONFIG.HEIGHT; // Camera offset based on the truck height
+
+  // Constant for the under body
+  UNDER_BODY_OFFSET = 0.5 * WHEEL_RADIUS + AXLE_RADIUS;
+
+  // Constants for the lower plaque
+  const LOWER_PLAQUE_HEIGHT_FACTOR = config.LOWER_PLAQUE_HEIGHT_FACTOR;
+  LOWER_PLAQUE_HEIGHT = LOWER_PLAQUE_HEIGHT_FACTOR * WHEEL_RADIUS;
+
+  const LOWER_PLAQUE_WIDTH_FACTOR = config.LOWER_PLAQUE_WIDTH_FACTOR;
+  LOWER_PLAQUE_WIDTH = TRUCK_CONFIG.WIDTH * LOWER_PLAQUE_WIDTH_FACTOR;
+
+  const LOWER_PLAQUE_LENGTH_FACTOR = config.LOWER_PLAQUE_LENGTH_FACTOR;
+  LOWER_PLAQUE_LENGTH = TRUCK_CONFIG.LENGTH * LOWER_PLAQUE_LENGTH_FACTOR;
+
+  // Constants for the upper plaque
+  const UPPER_PLAQUE_WIDTH_FACTOR = config.UPPER_PLAQUE_WIDTH_FACTOR;
+  UPPER_PLAQUE_WIDTH = UPPER_PLAQUE_WIDTH_FACTOR * TRUCK_CONFIG.WIDTH;
+
+  const UPPER_PLAQUE_HEIGHT_FACTOR = config.UPPER_PLAQUE_HEIGHT_FACTOR;
+  UPPER_PLAQUE_HEIGHT = UPPER_PLAQUE_HEIGHT_FACTOR * TRUCK_CONFIG.HEIGHT;
+
+  const UPPER_PLAQUE_LENGTH_FACTOR = config.UPPER_PLAQUE_LENGTH_FACTOR;
+  UPPER_PLAQUE_LENGTH = UPPER_PLAQUE_LENGTH_FACTOR * TRUCK_CONFIG.LENGTH;
+
+  const UPPER_PLAQUE_OFFSET_FACTOR = config.UPPER_PLAQUE_OFFSET_FACTOR;
+  UPPER_PLAQUE_OFFSET =
+    UPPER_PLAQUE_OFFSET_FACTOR * (LOWER_PLAQUE_HEIGHT + UPPER_PLAQUE_HEIGHT);
 
-// Constants for the upper plaque
-const UPPER_PLAQUE_WIDTH_FACTOR = 1.1;
-const UPPER_PLAQUE_WIDTH = UPPER_PLAQUE_WIDTH_FACTOR * TRUCK_CONFIG.WIDTH;
+  // Constants for the bumper
+  const MIDDLE_SIDE_BUMPER_WIDTH_FACTOR =
+    config.MIDDLE_SIDE_BUMPER_WIDTH_FACTOR;
+  MIDDLE_SIDE_BUMPER_WIDTH =
+    2 * DISTANCE_BETWEEN_AXLES -
+    (2 + MIDDLE_SIDE_BUMPER_WIDTH_FACTOR) * WHEEL_RADIUS;
 
-const UPPER_PLAQUE_HEIGHT_FACTOR = 0.1;
-const UPPER_PLAQUE_HEIGHT = UPPER_PLAQUE_HEIGHT_FACTOR * TRUCK_CONFIG.HEIGHT;
+  SIDE_BUMPER_HEIGHT = LOWER_PLAQUE_HEIGHT;
+  SIDE_BUMPER_LENGTH = (UPPER_PLAQUE_LENGTH - TRUCK_CONFIG.LENGTH) / 2;
+
+  const SIDE_BUMPER_OFFSET_Z_FACTOR = 0.5; // Not advisable to change this
+  SIDE_BUMPER_OFFSET_Z =
+    SIDE_BUMPER_OFFSET_Z_FACTOR * TRUCK_CONFIG.LENGTH +
+    SIDE_BUMPER_OFFSET_Z_FACTOR * SIDE_BUMPER_LENGTH;
+
+  const EDGE_SIDE_BUMPER_WIDTH_FACTOR = config.EDGE_SIDE_BUMPER_WIDTH_FACTOR;
+  EDGE_SIDE_BUMPER_WIDTH = Math.max(
+    EDGE_SIDE_BUMPER_WIDTH_FACTOR *
+      (((1 - DISTANCE_BETWEEN_AXLES_FACTOR) * TRUCK_CONFIG.WIDTH) / 2) -
+      WHEEL_RADIUS,
+    0
+  );
+
+  const EDGE_SIDE_BUMPER_OFFSET_X_FACTOR = 0.5; // Not advisable to change this
+  EDGE_SIDE_BUMPER_OFFSET_X =
+    EDGE_SIDE_BUMPER_OFFSET_X_FACTOR * TRUCK_CONFIG.WIDTH -
+    EDGE_SIDE_BUMPER_OFFSET_X_FACTOR * EDGE_SIDE_BUMPER_WIDTH;
+
+  EDGE_BUMPER_WIDTH = (UPPER_PLAQUE_WIDTH - TRUCK_CONFIG.WIDTH) / 2;
+  EDGE_BUMPER_HEIGHT = LOWER_PLAQUE_HEIGHT;
+  EDGE_BUMPER_LENGTH =
+    TRUCK_CONFIG.WIDTH < 4 * WHEEL_RADIUS
+      ? TRUCK_CONFIG.LENGTH - WHEEL_THICKNESS / 2
+      : UPPER_PLAQUE_LENGTH;
 
-const UPPER_PLAQUE_LENGTH_FACTOR = 1.1;
-const UPPER_PLAQUE_LENGTH = UPPER_PLAQUE_LENGTH_FACTOR * TRUCK_CONFIG.LENGTH;
+  const EDGE_BUMPER_OFFSET_X_FACTOR = 0.5; // Not advisable to change this
+  EDGE_BUMPER_OFFSET_X =
+    EDGE_BUMPER_OFFSET_X_FACTOR * TRUCK_CONFIG.WIDTH +
+    EDGE_BUMPER_OFFSET_X_FACTOR * EDGE_BUMPER_WIDTH;
 
-const UPPER_PLAQUE_OFFSET_FACTOR = 0.5;
-const UPPER_PLAQUE_OFFSET =
-  UPPER_PLAQUE_OFFSET_FACTOR * (LOWER_PLAQUE_HEIGHT + UPPER_PLAQUE_HEIGHT);
+  // Constants for the outriggers, hung under the lower plaque between the axles
+  OUTRIGGER_OFFSET_X = DISTANCE_BETWEEN_AXLES / 2;
 
-// Constants for the bumper
-const MIDDLE_SIDE_BUMPER_WIDTH_FACTOR = 0.2;
-const MIDDLE_SIDE_BUMPER_WIDTH =
-  2 * DISTANCE_BETWEEN_AXLES -
-  (2 + MIDDLE_SIDE_BUMPER_WIDTH_FACTOR) * WHEEL_RADIUS;
+  OUTRIGGER_BEAM_WIDTH = 0.4 * WHEEL_RADIUS;
+  OUTRIGGER_BEAM_HEIGHT = 0.3 * WHEEL_RADIUS;
+  OUTRIGGER_BEAM_LENGTH = LOWER_PLAQUE_LENGTH / 2; // From the middle to the side
+  OUTRIGGER_OFFSET_Y = -(LOWER_PLAQUE_HEIGHT + OUTRIGGER_BEAM_HEIGHT) / 2;
 
-const SIDE_BUMPER_HEIGHT = LOWER_PLAQUE_HEIGHT;
-const SIDE_BUMPER_LENGTH = (UPPER_PLAQUE_LENGTH - TRUCK_CONFIG.LENGTH) / 2;
+  const OUTRIGGER_REACH_FACTOR = 0.75; // Not advisable to change this
+  OUTRIGGER_REACH = OUTRIGGER_REACH_FACTOR * OUTRIGGER_BEAM_LENGTH;
 
-const SIDE_BUMPER_OFFSET_Z_FACTOR = 0.5; // Not advisable to change this
-const SIDE_BUMPER_OFFSET_Z =
-  SIDE_BUMPER_OFFSET_Z_FACTOR * TRUCK_CONFIG.LENGTH +
-  SIDE_BUMPER_OFFSET_Z_FACTOR * SIDE_BUMPER_LENGTH;
+  OUTRIGGER_FOOT_SIZE = 2 * OUTRIGGER_BEAM_WIDTH;
+  OUTRIGGER_FOOT_HEIGHT = 0.1 * WHEEL_RADIUS;
 
-const EDGE_SIDE_BUMPER_WIDTH_FACTOR = 0.9;
-const EDGE_SIDE_BUMPER_WIDTH = Math.max(
-  EDGE_SIDE_BUMPER_WIDTH_FACTOR *
-    (((1 - DISTANCE_BETWEEN_AXLES_FACTOR) * TRUCK_CONFIG.WIDTH) / 2) -
-    WHEEL_RADIUS,
-  0
-);
+  // How far the feet go down to reach the floor, which lies WHEEL_RADIUS under the truck
+  OUTRIGGER_DROP = Math.max(
+    UNDER_BODY_OFFSET +
+      OUTRIGGER_OFFSET_Y -
+      OUTRIGGER_BEAM_HEIGHT / 2 -
+      OUTRIGGER_FOOT_HEIGHT +
+      WHEEL_RADIUS,
+    0
+  );
 
-const EDGE_SIDE_BUMPER_OFFSET_X_FACTOR = 0.5; // Not advisable to change this
-const EDGE_SIDE_BUMPER_OFFSET_X =
-  EDGE_SIDE_BUMPER_OFFSET_X_FACTOR * TRUCK_CONFIG.WIDTH -
-  EDGE_SIDE_BUMPER_OFFSET_X_FACTOR * EDGE_SIDE_BUMPER_WIDTH;
+  // Constants for the blinkers
+  const FRONT_BLINKER_WIDTH_FACTOR = config.FRONT_BLINKER_WIDTH_FACTOR;
+  FRONT_BLINKER_WIDTH = FRONT_BLINKER_WIDTH_FACTOR * UPPER_PLAQUE_WIDTH;
 
-const EDGE_BUMPER_WIDTH = (UPPER_PLAQUE_WIDTH - TRUCK_CONFIG.WIDTH) / 2;
-const EDGE_BUMPER_HEIGHT = LOWER_PLAQUE_HEIGHT;
-const EDGE_BUMPER_LENGTH =
-  TRUCK_CONFIG.WIDTH < 4 * WHEEL_RADIUS
-    ? TRUCK_CONFIG.LENGTH - WHEEL_THICKNESS / 2
-    : UPPER_PLAQUE_LENGTH;
+  const FRONT_BLINKER_HEIGHT_FACTOR = config.FRONT_BLINKER_HEIGHT_FACTOR;
+  FRONT_BLINKER_HEIGHT = FRONT_BLINKER_HEIGHT_FACTOR * UPPER_PLAQUE_HEIGHT;
 
-const EDGE_BUMPER_OFFSET_X_FACTOR = 0.5; // Not advisable to change this
-const EDGE_BUMPER_OFFSET_X =
-  EDGE_BUMPER_OFFSET_X_FACTOR * TRUCK_CONFIG.WIDTH +
-  EDGE_BUMPER_OFFSET_X_FACTOR * EDGE_BUMPER_WIDTH;
+  const FRONT_BLINKER_LENGTH_FACTOR = config.FRONT_BLINKER_LENGTH_FACTOR;
+  FRONT_BLINKER_LENGTH = FRONT_BLINKER_LENGTH_FACTOR * TRUCK_CONFIG.LENGTH;
 
-// Constants for the blinkers
-const FRONT_BLINKER_WIDTH_FACTOR = 0.05;
-const FRONT_BLINKER_WIDTH = FRONT_BLINKER_WIDTH_FACTOR * UPPER_PLAQUE_WIDTH;
+  const FRONT_BLINKER_OFFSET_X_FACTOR = config.FRONT_BLINKER_OFFSET_X_FACTOR;
+  FRONT_BLINKER_OFFSET_X =
+    FRONT_BLINKER_OFFSET_X_FACTOR * TRUCK_CONFIG.WIDTH - FRONT_BLINKER_WIDTH;
 
-const FRONT_BLINKER_HEIGHT_FACTOR = 0.5;
-const FRONT_BLINKER_HEIGHT = FRONT_BLINKER_HEIGHT_FACTOR * UPPER_PLAQUE_HEIGHT;
+  BLINKER_OFFSET_Y = 0;
 
-const FRONT_BLINKER_LENGTH_FACTOR = 0.01;
-const FRONT_BLINKER_LENGTH = FRONT_BLINKER_LENGTH_FACTOR * TRUCK_CONFIG.LENGTH;
+  const FRONT_BLINKER_OFFSET_Z_FACTOR = config.FRONT_BLINKER_OFFSET_Z_FACTOR;
+  FRONT_BLINKER_OFFSET_Z =
+    FRONT_BLINKER_OFFSET_Z_FACTOR * UPPER_PLAQUE_LENGTH +
+    FRONT_BLINKER_LENGTH / 2;
 
-const FRONT_BLINKER_OFFSET_X_FACTOR = 0.5;
-const FRONT_BLINKER_OFFSET_X =
-  FRONT_BLINKER_OFFSET_X_FACTOR * TRUCK_CONFIG.WIDTH - FRONT_BLINKER_WIDTH;
+  BACK_BLINKER_WIDTH = FRONT_BLINKER_LENGTH;
+  BACK_BLINKER_HEIGHT = FRONT_BLINKER_HEIGHT;
+  BACK_BLINKER_LENGTH = FRONT_BLINKER_WIDTH;
 
-const BLINKER_OFFSET_Y = 0;
+  const BACK_BLINKER_OFFSET_X_FACTOR = config.BACK_BLINKER_OFFSET_X_FACTOR;
+  BACK_BLINKER_OFFSET_X = BACK_BLINKER_OFFSET_X_FACTOR * UPPER_PLAQUE_WIDTH;
 
-const FRONT_BLINKER_OFFSET_Z_FACTOR = 0.5;
-const FRONT_BLINKER_OFFSET_Z =
-  FRONT_BLINKER_OFFSET_Z_FACTOR * UPPER_PLAQUE_LENGTH +
-  FRONT_BLINKER_LENGTH / 2;
+  const BACK_BLINKER_OFFSET_Z_FACTOR = config.BACK_BLINKER_OFFSET_Z_FACTOR;
+  BACK_BLINKER_OFFSET_Z = BACK_BLINKER_OFFSET_Z_FACTOR * UPPER_PLAQUE_LENGTH;
 
-const BACK_BLINKER_WIDTH = FRONT_BLINKER_LENGTH;
-const BACK_BLINKER_HEIGHT = FRONT_BLINKER_HEIGHT;
-const BACK_BLINKER_LENGTH = FRONT_BLINKER_WIDTH;
+  // Constants for the front body
 
-const BACK_BLINKER_OFFSET_X_FACTOR = 0.5;
-const BACK_BLINKER_OFFSET_X = BACK_BLINKER_OFFSET_X_FACTOR * UPPER_PLAQUE_WIDTH;
+  const FRONT_BOX_WIDTH_FACTOR = config.FRONT_BOX_WIDTH_FACTOR;
+  FRONT_BOX_WIDTH = FRONT_BOX_WIDTH_FACTOR * TRUCK_CONFIG.WIDTH;
 
-const BACK_BLINKER_OFFSET_Z_FACTOR = 0.3;
-const BACK_BLINKER_OFFSET_Z =
-  BACK_BLINKER_OFFSET_Z_FACTOR * UPPER_PLAQUE_LENGTH;
+  const FRONT_BOX_HEIGHT_FACTOR = config.FRONT_BOX_HEIGHT_FACTOR;
+  FRONT_BOX_HEIGHT = FRONT_BOX_HEIGHT_FACTOR * TRUCK_CONFIG.HEIGHT;
 
-// Constants for the front body
+  const FRONT_BOX_LENGTH_FACTOR = config.FRONT_BOX_LENGTH_FACTOR;
+  FRONT_BOX_LENGTH = FRONT_BOX_LENGTH_FACTOR * TRUCK_CONFIG.LENGTH;
 
-const FRONT_BOX_WIDTH_FACTOR = 0.3;
-const FRONT_BOX_WIDTH = FRONT_BOX_WIDTH_FACTOR * TRUCK_CONFIG.WIDTH;
+  const FRONT_BODY_SETUP_OFFSET_X_FACTOR =
+    config.FRONT_BODY_SETUP_OFFSET_X_FACTOR;
+  FRONT_BODY_SETUP_OFFSET_X =
+    -TRUCK_CONFIG.WIDTH / 2 +
+    FRONT_BODY_SETUP_OFFSET_X_FACTOR * FRONT_BOX_WIDTH;
 
-const FRONT_BOX_HEIGHT_FACTOR = 1.0;
-const FRONT_BOX_HEIGHT = FRONT_BOX_HEIGHT_FACTOR * TRUCK_CONFIG.HEIGHT;
+  const SUM_FLOOR_UNDERBODY_AND_PLAQUES_FACTOR =
+    config.SUM_FLOOR_UNDERBODY_AND_PLAQUES_FACTOR;
+  const SUM_FLOOR_UNDERBODY_AND_PLAQUES =
+    UNDER_BODY_OFFSET +
+    SUM_FLOOR_UNDERBODY_AND_PLAQUES_FACTOR * LOWER_PLAQUE_HEIGHT +
+    UPPER_PLAQUE_HEIGHT;
 
-const FRONT_BOX_LENGTH_FACTOR = 1.0;
-const FRONT_BOX_LENGTH = FRONT_BOX_LENGTH_FACTOR * TRUCK_CONFIG.LENGTH;
+  const FRONT_BODY_SETUP_OFFSET_Y_FACTOR =
+    config.FRONT_BODY_SETUP_OFFSET_Y_FACTOR;
+  FRONT_BODY_SETUP_OFFSET_Y =
+    SUM_FLOOR_UNDERBODY_AND_PLAQUES +
+    FRONT_BODY_SETUP_OFFSET_Y_FACTOR * FRONT_BOX_HEIGHT;
 
-const FRONT_BODY_SETUP_OFFSET_X_FACTOR = 0.5;
-const FRONT_BODY_SETUP_OFFSET_X =
-  -TRUCK_CONFIG.WIDTH / 2 + FRONT_BODY_SETUP_OFFSET_X_FACTOR * FRONT_BOX_WIDTH;
+  // Constants for the front window
+  const FRONT_WINDOW_HEIGHT_RATIO = config.FRONT_WINDOW_HEIGHT_RATIO;
+  FRONT_WINDOW_HEIGHT = FRONT_WINDOW_HEIGHT_RATIO * FRONT_BOX_HEIGHT;
 
-const SUM_FLOOR_UNDERBODY_AND_PLAQUES_FACTOR = 0.5;
-const SUM_FLOOR_UNDERBODY_AND_PLAQUES =
-  UNDER_BODY_OFFSET +
-  SUM_FLOOR_UNDERBODY_AND_PLAQUES_FACTOR * LOWER_PLAQUE_HEIGHT +
-  UPPER_PLAQUE_HEIGHT;
+  const FRONT_WINDOW_WIDTH_FACTOR = config.FRONT_WINDOW_WIDTH_FACTOR;
+  FRONT_WINDOW_WIDTH = FRONT_WINDOW_WIDTH_FACTOR * FRONT_BOX_LENGTH;
 
-const FRONT_BODY_SETUP_OFFSET_Y_FACTOR = 0.5;
-const FRONT_BODY_SETUP_OFFSET_Y =
-  SUM_FLOOR_UNDERBODY_AND_PLAQUES +
-  FRONT_BODY_SETUP_OFFSET_Y_FACTOR * FRONT_BOX_HEIGHT;
+  FRONT_WINDOW_LENGTH = 0.01;
 
-// Constants for the front window
-const FRONT_WINDOW_HEIGHT_RATIO = 0.6;
-const FRONT_WINDOW_HEIGHT = FRONT_WINDOW_HEIGHT_RATIO * FRONT_BOX_HEIGHT;
+  const FRONT_WINDOW_OFFSET_X_FACTOR = config.FRONT_WINDOW_OFFSET_X_FACTOR;
+  FRONT_WINDOW_OFFSET_X = FRONT_WINDOW_OFFSET_X_FACTOR * FRONT_BOX_WIDTH;
 
-const FRONT_WINDOW_WIDTH_FACTOR = 0.9;
-const FRONT_WINDOW_WIDTH = FRONT_WINDOW_WIDTH_FACTOR * FRONT_BOX_LENGTH;
+  FRONT_WINDOW_OFFSET_Y = 0.5;
 
-const FRONT_WINDOW_LENGTH = 0.01;
+  // Constants for the lights
+  GLASS_NODE_SIZE = 1.1;
 
-const FRONT_WINDOW_OFFSET_X_FACTOR = -0.5;
-const FRONT_WINDOW_OFFSET_X = FRONT_WINDOW_OFFSET_X_FACTOR * FRONT_BOX_WIDTH;
+  const FRONT_LIGHT_WIDTH_FACTOR = config.FRONT_LIGHT_WIDTH_FACTOR;
+  FRONT_LIGHT_WIDTH = FRONT_BOX_WIDTH * FRONT_LIGHT_WIDTH_FACTOR;
 
-const FRONT_WINDOW_OFFSET_Y = 0.5;
+  const FRONT_LIGHT_HEIGHT_FACTOR = config.FRONT_LIGHT_HEIGHT_FACTOR;
+  FRONT_LIGHT_HEIGHT = FRONT_BOX_HEIGHT * FRONT_LIGHT_HEIGHT_FACTOR;
 
-// Constants for the lights
-const GLASS_NODE_SIZE = 1.1;
+  const FRONT_LIGHT_LENGTH_FACTOR = config.FRONT_LIGHT_LENGTH_FACTOR;
+  FRONT_LIGHT_LENGTH = FRONT_BOX_LENGTH * FRONT_LIGHT_LENGTH_FACTOR;
 
-const FRONT_LIGHT_WIDTH_FACTOR = 0.1;
-const FRONT_LIGHT_WIDTH = FRONT_BOX_WIDTH * FRONT_LIGHT_WIDTH_FACTOR;
+  const FRONT_LIGHT_OFFSET_X_FACTOR = config.FRONT_LIGHT_OFFSET_X_FACTOR;
+  FRONT_LIGHT_OFFSET_X = FRONT_LIGHT_OFFSET_X_FACTOR * FRONT_BOX_WIDTH;
 
-const FRONT_LIGHT_HEIGHT_FACTOR = 0.1;
-const FRONT_LIGHT_HEIGHT = FRONT_BOX_HEIGHT * FRONT_LIGHT_HEIGHT_FACTOR;
+  const FRONT_LIGHT_OFFSET_Y_FACTOR = config.FRONT_LIGHT_OFFSET_Y_FACTOR;
+  FRONT_LIGHT_OFFSET_Y = FRONT_BOX_HEIGHT / FRONT_LIGHT_OFFSET_Y_FACTOR;
 
-const FRONT_LIGHT_LENGTH_FACTOR = 0.1;
-const FRONT_LIGHT_LENGTH = FRONT_BOX_LENGTH * FRONT_LIGHT_LENGTH_FACTOR;
+  const FRONT_LIGHT_OFFSET_Z_FACTOR = config.FRONT_LIGHT_OFFSET_Z_FACTOR;
+  FRONT_LIGHT_OFFSET_Z = FRONT_BOX_LENGTH / FRONT_LIGHT_OFFSET_Z_FACTOR;
 
-const FRONT_LIGHT_OFFSET_X_FACTOR = 0.5;
-const FRONT_LIGHT_OFFSET_X = FRONT_LIGHT_OFFSET_X_FACTOR * FRONT_BOX_WIDTH;
+  // Constants for the side windows
+  const SIDE_WINDOW_WIDTH_FACTOR = config.SIDE_WINDOW_WIDTH_FACTOR;
+  SIDE_WINDOW_WIDTH = SIDE_WINDOW_WIDTH_FACTOR * FRONT_BOX_WIDTH;
 
-const FRONT_LIGHT_OFFSET_Y_FACTOR = 2.5;
-const FRONT_LIGHT_OFFSET_Y = FRONT_BOX_HEIGHT / FRONT_LIGHT_OFFSET_Y_FACTOR;
+  const SIDE_WINDOW_HEIGHT_FACTOR = config.SIDE_WINDOW_HEIGHT_FACTOR;
+  SIDE_WINDOW_HEIGHT = SIDE_WINDOW_HEIGHT_FACTOR * FRONT_BOX_HEIGHT;
 
-const FRONT_LIGHT_OFFSET_Z_FACTOR = 4;
-const FRONT_LIGHT_OFFSET_Z = FRONT_BOX_LENGTH / FRONT_LIGHT_OFFSET_Z_FACTOR;
+  const SIDE_WINDOW_LENGTH_FACTOR = config.SIDE_WINDOW_LENGTH_FACTOR;
+  SIDE_WINDOW_LENGTH = SIDE_WINDOW_LENGTH_FACTOR * FRONT_BOX_LENGTH;
 
-// Constants for the side windows
-const SIDE_WINDOW_WIDTH_FACTOR = 0.3;
-const SIDE_WINDOW_WIDTH = SIDE_WINDOW_WIDTH_FACTOR * FRONT_BOX_WIDTH;
+  const LEFT_WINDOW_OFFSET_X_FACTOR = config.LEFT_WINDOW_OFFSET_X_FACTOR;
+  LEFT_WINDOW_OFFSET_X = LEFT_WINDOW_OFFSET_X_FACTOR * FRONT_BOX_WIDTH;
 
-const SIDE_WINDOW_HEIGHT_FACTOR = 0.6;
-const SIDE_WINDOW_HEIGHT = SIDE_WINDOW_HEIGHT_FACTOR * FRONT_BOX_HEIGHT;
+  const RIGHT_WINDOW_OFFSET_X_FACTOR = config.RIGHT_WINDOW_OFFSET_X_FACTOR;
+  RIGHT_WINDOW_OFFSET_X = RIGHT_WINDOW_OFFSET_X_FACTOR * FRONT_BOX_WIDTH;
 
-const SIDE_WINDOW_LENGTH_FACTOR = 0.01;
-const SIDE_WINDOW_LENGTH = SIDE_WINDOW_LENGTH_FACTOR * FRONT_BOX_LENGTH;
+  LEFT_WINDOW_OFFSET_Y = 0.5;
 
-const LEFT_WINDOW_OFFSET_X_FACTOR = 0.3;
-const LEFT_WINDOW_OFFSET_X = LEFT_WINDOW_OFFSET_X_FACTOR * FRONT_BOX_WIDTH;
+  RIGHT_WINDOW_OFFSET_Y = 0.5;
 
-const RIGHT_WINDOW_OFFSET_X_FACTOR = 0.3;
-const RIGHT_WINDOW_OFFSET_X = RIGHT_WINDOW_OFFSET_X_FACTOR * FRONT_BOX_WIDTH;
+  const LEFT_WINDOW_OFFSET_Z_FACTOR = config.LEFT_WINDOW_OFFSET_Z_FACTOR;
+  LEFT_WINDOW_OFFSET_Z = LEFT_WINDOW_OFFSET_Z_FACTOR * FRONT_BOX_LENGTH;
 
-const LEFT_WINDOW_OFFSET_Y = 0.5;
+  const RIGHT_WINDOW_OFFSET_Z_FACTOR = config.RIGHT_WINDOW_OFFSET_Z_FACTOR;
+  RIGHT_WINDOW_OFFSET_Z = RIGHT_WINDOW_OFFSET_Z_FACTOR * FRONT_BOX_LENGTH;
 
-const RIGHT_WINDOW_OFFSET_Y = 0.5;
+  // Constants for the siren
 
-const LEFT_WINDOW_OFFSET_Z_FACTOR = 0.5;
-const LEFT_WINDOW_OFFSET_Z = LEFT_WINDOW_OFFSET_Z_FACTOR * FRONT_BOX_LENGTH;
+  const SIREN_SIZE_FACTOR = config.SIREN_SIZE_FACTOR;
+  SIREN_SIZE = SIREN_SIZE_FACTOR * TRUCK_CONFIG.HEIGHT;
 
-const RIGHT_WINDOW_OFFSET_Z_FACTOR = 0.5;
-const RIGHT_WINDOW_OFFSET_Z = RIGHT_WINDOW_OFFSET_Z_FACTOR * FRONT_BOX_LENGTH;
+  const SIREN_OFFSET_Y_FACTOR = config.SIREN_OFFSET_Y_FACTOR;
+  SIREN_OFFSET_Y = FRONT_BOX_HEIGHT * SIREN_OFFSET_Y_FACTOR;
 
-// Constants for the siren
+  SIREN_GLASS_RATIO = config.SIREN_GLASS_RATIO;
 
-const SIREN_SIZE_FACTOR = 0.1;
-const SIREN_SIZE = SIREN_SIZE_FACTOR * TRUCK_CONFIG.HEIGHT;
+  // Constants for the back body
 
-const SIREN_OFFSET_Y_FACTOR = 0.5;
-const SIREN_OFFSET_Y = FRONT_BOX_HEIGHT * SIREN_OFFSET_Y_FACTOR;
+  const BACK_BOX_WIDTH_FACTOR = config.BACK_BOX_WIDTH_FACTOR;
+  BACK_BOX_WIDTH = TRUCK_CONFIG.WIDTH * BACK_BOX_WIDTH_FACTOR;
 
-const SIREN_GLASS_RATIO = 1.1;
+  const BACK_BOX_HEIGHT_FACTOR = config.BACK_BOX_HEIGHT_FACTOR;
+  BACK_BOX_HEIGHT = BACK_BOX_HEIGHT_FACTOR * TRUCK_CONFIG.HEIGHT;
 
-// Constants for the back body
+  const BACK_BOX_LENGTH_FACTOR = config.BACK_BOX_LENGTH_FACTOR;
+  BACK_BOX_LENGTH = TRUCK_CONFIG.LENGTH * BACK_BOX_LENGTH_FACTOR;
 
-const BACK_BOX_WIDTH_FACTOR = 0.65;
-const BACK_BOX_WIDTH = TRUCK_CONFIG.WIDTH * BACK_BOX_WIDTH_FACTOR;
+  const TOP_BOTTOM_WALLS_HEIGHT_FACTOR = config.TOP_BOTTOM_WALLS_HEIGHT_FACTOR;
+  TOP_BOTTOM_WALLS_HEIGHT = TOP_BOTTOM_WALLS_HEIGHT_FACTOR * BACK_BOX_HEIGHT;
 
-const BACK_BOX_HEIGHT_FACTOR = 0.8;
-const BACK_BOX_HEIGHT = BACK_BOX_HEIGHT_FACTOR * TRUCK_CONFIG.HEIGHT;
+  const BACK_BODY_OFFSET_X_FACTOR = config.BACK_BODY_OFFSET_X_FACTOR;
+  BACK_BODY_OFFSET_X =
+    (TRUCK_CONFIG.WIDTH - BACK_BOX_WIDTH) * BACK_BODY_OFFSET_X_FACTOR;
 
-const BACK_BOX_LENGTH_FACTOR = 1;
-const BACK_BOX_LENGTH = TRUCK_CONFIG.LENGTH * BACK_BOX_LENGTH_FACTOR;
+  const BACK_BODY_OFFSET_Y_FACTOR = config.BACK_BODY_OFFSET_Y_FACTOR;
+  BACK_BODY_OFFSET_Y =
+    SUM_FLOOR_UNDERBODY_AND_PLAQUES +
+    (BACK_BOX_HEIGHT + TOP_BOTTOM_WALLS_HEIGHT) * BACK_BODY_OFFSET_Y_FACTOR;
 
-const TOP_BOTTOM_WALLS_HEIGHT_FACTOR = 0.1;
-const TOP_BOTTOM_WALLS_HEIGHT =
-  TOP_BOTTOM_WALLS_HEIGHT_FACTOR * BACK_BOX_HEIGHT;
+  const RIGHT_LEFT_WALLS_WIDTH_FACTOR = config.RIGHT_LEFT_WALLS_WIDTH_FACTOR;
+  RIGHT_LEFT_WALLS_WIDTH = RIGHT_LEFT_WALLS_WIDTH_FACTOR * BACK_BOX_WIDTH;
 
-const BACK_BODY_OFFSET_X_FACTOR = 0.5;
-const BACK_BODY_OFFSET_X =
-  (TRUCK_CONFIG.WIDTH - BACK_BOX_WIDTH) * BACK_BODY_OFFSET_X_FACTOR;
+  TOTAL_CUBES = 10;
 
-const BACK_BODY_OFFSET_Y_FACTOR = 0.5;
-const BACK_BODY_OFFSET_Y =
-  SUM_FLOOR_UNDERBODY_AND_PLAQUES +
-  (BACK_BOX_HEIGHT + TOP_BOTTOM_WALLS_HEIGHT) * BACK_BODY_OFFSET_Y_FACTOR;
+  // Constants for the axe
+  const AXE_BODY_WIDTH_FACTOR = config.AXE_BODY_WIDTH_FACTOR;
+  AXE_BODY_WIDTH = AXE_BODY_WIDTH_FACTOR * BACK_BOX_HEIGHT;
 
-const RIGHT_LEFT_WALLS_WIDTH_FACTOR = 0.1;
-const RIGHT_LEFT_WALLS_WIDTH = RIGHT_LEFT_WALLS_WIDTH_FACTOR * BACK_BOX_WIDTH;
+  AXE_BODY_HEIGHT = AXE_BODY_WIDTH;
 
-const TOTAL_CUBES = 10;
+  const AXE_BODY_LENGTH_FACTOR = config.AXE_BODY_LENGTH_FACTOR;
+  AXE_BODY_LENGTH = AXE_BODY_LENGTH_FACTOR * BACK_BOX_LENGTH;
 
-const DEFAULT_ROLL_UP = 0;
-const IS_ROLLING_UP_DEFAULT = false;
+  const AXE_BODY_OFFSET_X_FACTOR = config.AXE_BODY_OFFSET_X_FACTOR;
+  AXE_BODY_OFFSET_X =
+    AXE_BODY_OFFSET_X_FACTOR * BACK_BOX_WIDTH -
+    RIGHT_LEFT_WALLS_WIDTH -
+    AXE_BODY_OFFSET_X_FACTOR * AXE_BODY_WIDTH;
 
-const ROLL_UP_PROGRESS = 0.5;
+  AXE_BODY_OFFSET_Y = 0;
+  AXE_BODY_OFFSET_Z = 0;
 
-// Constants for the axe
-const AXE_BODY_WIDTH_FACTOR = 0.05;
-const AXE_BODY_WIDTH = AXE_BODY_WIDTH_FACTOR * BACK_BOX_HEIGHT;
+  const AXE_HEAD_WIDTH_FACTOR = config.AXE_HEAD_WIDTH_FACTOR;
+  const AXE_HEAD_HEIGHT_FACTOR = config.AXE_HEAD_HEIGHT_FACTOR;
+  const AXE_HEAD_LENGTH_FACTOR = config.AXE_HEAD_LENGTH_FACTOR;
+  const AXE_HEAD_OFFSET_Y_FACTOR = config.AXE_HEAD_OFFSET_Y_FACTOR;
+  const AXE_HEAD_OFFSET_Z_FACTOR = config.AXE_HEAD_OFFSET_Z_FACTOR;
+  const AXE_HEAD_OFFSET_Z_ADJUSTMENT = 0.5;
 
-const AXE_BODY_HEIGHT = AXE_BODY_WIDTH;
+  AXE_HEAD_WIDTH = AXE_HEAD_WIDTH_FACTOR * AXE_BODY_WIDTH;
+  AXE_HEAD_HEIGHT = AXE_HEAD_HEIGHT_FACTOR * AXE_BODY_HEIGHT;
+  AXE_HEAD_LENGTH = AXE_HEAD_LENGTH_FACTOR * AXE_BODY_LENGTH;
 
-const AXE_BODY_LENGTH_FACTOR = 0.7;
-const AXE_BODY_LENGTH = AXE_BODY_LENGTH_FACTOR * BACK_BOX_LENGTH;
+  AXE_HEAD_OFFSET_X = AXE_BODY_OFFSET_X;
+  AXE_HEAD_OFFSET_Y = AXE_HEAD_OFFSET_Y_FACTOR * AXE_HEAD_HEIGHT;
+  AXE_HEAD_OFFSET_Z =
+    AXE_HEAD_OFFSET_Z_FACTOR * AXE_BODY_LENGTH +
+    AXE_HEAD_OFFSET_Z_ADJUSTMENT * AXE_HEAD_LENGTH;
 
-const AXE_BODY_OFFSET_X_FACTOR = 0.5;
-const AXE_BODY_OFFSET_X =
-  AXE_BODY_OFFSET_X_FACTOR * BACK_BOX_WIDTH -
-  RIGHT_LEFT_WALLS_WIDTH -
-  AXE_BODY_OFFSET_X_FACTOR * AXE_BODY_WIDTH;
+  AXE_BODY_ROTATION = 90;
+  AXE_HEAD_ROTATION = 180;
 
-const AXE_BODY_OFFSET_Y = 0;
-const AXE_BODY_OFFSET_Z = 0;
+  // Constants for the water tank
 
-const AXE_HEAD_WIDTH_FACTOR = 0.1;
-const AXE_HEAD_HEIGHT_FACTOR = 5;
-const AXE_HEAD_LENGTH_FACTOR = 0.3;
-const AXE_HEAD_OFFSET_Y_FACTOR = -0.5;
-const AXE_HEAD_OFFSET_Z_FACTOR = -0.5;
-const AXE_HEAD_OFFSET_Z_ADJUSTMENT = 0.5;
+  const WATER_WIDTH_FACTOR = config.WATER_WIDTH_FACTOR;
+  const WATER_HEIGHT_FACTOR = config.WATER_HEIGHT_FACTOR;
+  const WATER_LENGTH_FACTOR = config.WATER_LENGTH_FACTOR;
 
-const AXE_HEAD_WIDTH = AXE_HEAD_WIDTH_FACTOR * AXE_BODY_WIDTH;
-const AXE_HEAD_HEIGHT = AXE_HEAD_HEIGHT_FACTOR * AXE_BODY_HEIGHT;
-const AXE_HEAD_LENGTH = AXE_HEAD_LENGTH_FACTOR * AXE_BODY_LENGTH;
+  const WATER_GLASS_SCALE_FACTOR = config.WATER_GLASS_SCALE_FACTOR;
 
-const AXE_HEAD_OFFSET_X = AXE_BODY_OFFSET_X;
-const AXE_HEAD_OFFSET_Y = AXE_HEAD_OFFSET_Y_FACTOR * AXE_HEAD_HEIGHT;
-const AXE_HEAD_OFFSET_Z =
-  AXE_HEAD_OFFSET_Z_FACTOR * AXE_BODY_LENGTH +
-  AXE_HEAD_OFFSET_Z_ADJUSTMENT * AXE_HEAD_LENGTH;
+  const WATER_TANK_OFFSET_X_FACTOR = config.WATER_TANK_OFFSET_X_FACTOR;
+  const WATER_TANK_OFFSET_Y_FACTOR = config.WATER_TANK_OFFSET_Y_FACTOR;
 
-const AXE_BODY_ROTATION = 90;
-const AXE_HEAD_ROTATION = 180;
+  const BACK_TUBE_SCALE_FACTOR = config.BACK_TUBE_SCALE_FACTOR;
 
-// Constants for the water tank
+  const BACK_TUBE_OFFSET_Y_FACTOR = config.BACK_TUBE_OFFSET_Y_FACTOR;
 
-const WATER_WIDTH_FACTOR = 0.5;
-const WATER_HEIGHT_FACTOR = 0.5;
-const WATER_LENGTH_FACTOR = WATER_WIDTH_FACTOR;
+  const FRONT_TUBE_WIDTH_FACTOR = config.FRONT_TUBE_WIDTH_FACTOR;
+  const FRONT_TUBE_HEIGHT_FACTOR = config.FRONT_TUBE_HEIGHT_FACTOR;
 
-const WATER_GLASS_SCALE_FACTOR = 1.1;
+  const FRONT_TUBE_OFFSET_X_FACTOR = config.FRONT_TUBE_OFFSET_X_FACTOR;
+  const FRONT_TUBE_OFFSET_Y_FACTOR = config.FRONT_TUBE_OFFSET_Y_FACTOR;
 
-const WATER_TANK_OFFSET_X_FACTOR = 0.5;
-const WATER_TANK_OFFSET_Y_FACTOR = 0.5;
-
-const BACK_TUBE_SCALE_FACTOR = 0.1;
-
-const BACK_TUBE_OFFSET_Y_FACTOR = 0.5;
-
-const FRONT_TUBE_WIDTH_FACTOR = 0.9;
-const FRONT_TUBE_HEIGHT_FACTOR = 0.5;
-
-const FRONT_TUBE_OFFSET_X_FACTOR = 0.5;
-const FRONT_TUBE_OFFSET_Y_FACTOR = 0.5;
-
-const UPPER_TUBE_WIDTH_FACTOR = 0.3;
-const UPPER_TUBE_HEIGHT_FACTOR = 0.5;
-const UPPER_TUBE_LENGTH_FACTOR = 0.5;
-
-const UPPER_TUBE_OFFSET_X_FACTOR = 0.5;
-const UPPER_TUBE_OFFSET_Y_FACTOR = 0.5;
-
-const TAP_WHEEL_OFFSET_X_FACTOR = 0.5;
-const TAP_WHEEL_OFFSET_Y_FACTOR = 0.5;
-
-const TAP_WHEEL_SCALE = 0.5;
-
-const TAP_WHEEL_VERTICAL_DETAIL_SCALE_FACTOR = 0.5;
-const TAP_WHEEL_VERTICAL_DETAIL_LENGTH_FACTOR = 2.5;
-
-const TAP_WHEEL_HORIZONTAL_DETAIL_SCALE_FACTOR = 2.5;
-const TAP_WHEEL_HORIZONTAL_DETAIL_LENGTH_FACTOR = 0.5;
-
-const WATER_WIDTH = WATER_WIDTH_FACTOR * BACK_BOX_HEIGHT;
-const WATER_HEIGHT = WATER_HEIGHT_FACTOR * BACK_BOX_WIDTH;
-const WATER_LENGTH = WATER_LENGTH_FACTOR * BACK_BOX_HEIGHT;
-
-const WATER_GLASS_WIDTH = WATER_GLASS_SCALE_FACTOR * WATER_WIDTH;
-const WATER_GLASS_HEIGHT = WATER_GLASS_SCALE_FACTOR * WATER_HEIGHT;
-const WATER_GLASS_LENGTH = WATER_GLASS_SCALE_FACTOR * WATER_LENGTH;
-
-const WATER_TANK_OFFSET_X =
-  -BACK_BOX_WIDTH / 2 +
-  WATER_TANK_OFFSET_X_FACTOR * WATER_GLASS_HEIGHT +
-  RIGHT_LEFT_WALLS_WIDTH;
-const WATER_TANK_OFFSET_Y =
-  -WATER_TANK_OFFSET_Y_FACTOR * WATER_GLASS_WIDTH + TOP_BOTTOM_WALLS_HEIGHT;
-const WATER_TANK_OFFSET_Z = 0;
-
-const BACK_TUBE_WIDTH = BACK_TUBE_SCALE_FACTOR * WATER_GLASS_WIDTH;
-const BACK_TUBE_HEIGHT = BACK_TUBE_SCALE_FACTOR * WATER_GLASS_HEIGHT;
-const BACK_TUBE_LENGTH = BACK_TUBE_WIDTH;
-
-const BACK_TUBE_OFFSET_X = 0;
-const BACK_TUBE_OFFSET_Y =
-  -BACK_TUBE_OFFSET_Y_FACTOR * WATER_GLASS_HEIGHT -
-  BACK_TUBE_OFFSET_Y_FACTOR * BACK_TUBE_HEIGHT;
-const BACK_TUBE_OFFSET_Z = 0;
-
-const FRONT_TUBE_WIDTH = FRONT_TUBE_WIDTH_FACTOR * BACK_TUBE_HEIGHT;
-const FRONT_TUBE_HEIGHT = FRONT_TUBE_HEIGHT_FACTOR * BACK_TUBE_WIDTH;
-const FRONT_TUBE_LENGTH = BACK_TUBE_LENGTH;
-
-const FRONT_TUBE_OFFSET_X =
-  -FRONT_TUBE_OFFSET_X_FACTOR * FRONT_TUBE_WIDTH + BACK_TUBE_WIDTH / 2;
-const FRONT_TUBE_OFFSET_Y =
-  -FRONT_TUBE_OFFSET_Y_FACTOR * WATER_GLASS_HEIGHT -
-  FRONT_TUBE_OFFSET_Y_FACTOR * FRONT_TUBE_HEIGHT -
-  BACK_TUBE_HEIGHT;
-const FRONT_TUBE_OFFSET_Z = 0;
-
-const UPPER_TUBE_WIDTH = UPPER_TUBE_WIDTH_FACTOR * FRONT_TUBE_WIDTH;
-const UPPER_TUBE_HEIGHT = UPPER_TUBE_HEIGHT_FACTOR * FRONT_TUBE_HEIGHT;
-const UPPER_TUBE_LENGTH = UPPER_TUBE_LENGTH_FACTOR * BACK_TUBE_LENGTH;
-
-const UPPER_TUBE_OFFSET_X =
-  UPPER_TUBE_OFFSET_X_FACTOR * BACK_TUBE_WIDTH + UPPER_TUBE_WIDTH / 2;
-const UPPER_TUBE_OFFSET_Y =
-  -UPPER_TUBE_OFFSET_Y_FACTOR * WATER_GLASS_HEIGHT -
-  UPPER_TUBE_OFFSET_Y_FACTOR * FRONT_TUBE_HEIGHT -
-  BACK_TUBE_HEIGHT;
-const UPPER_TUBE_OFFSET_Z = 0;
-
-const TAP_WHEEL_OFFSET_X =
-  TAP_WHEEL_OFFSET_X_FACTOR * WATER_GLASS_HEIGHT +
-  BACK_TUBE_HEIGHT +
-  TAP_WHEEL_OFFSET_X_FACTOR * FRONT_TUBE_HEIGHT;
-const TAP_WHEEL_OFFSET_Y =
-  TAP_WHEEL_OFFSET_Y_FACTOR * BACK_TUBE_WIDTH + UPPER_TUBE_WIDTH;
-const TAP_WHEEL_OFFSET_Z = 0;
-
-const TAP_WHEEL_WIDTH = TAP_WHEEL_SCALE;
-const TAP_WHEEL_HEIGHT = TAP_WHEEL_SCALE;
-const TAP_WHEEL_LENGTH = TAP_WHEEL_SCALE;
-
-const TAP_WHEEL_VERTICAL_DETAIL_WIDTH =
-  TAP_WHEEL_VERTICAL_DETAIL_SCALE_FACTOR * TAP_WHEEL_WIDTH;
-const TAP_WHEEL_VERTICAL_DETAIL_HEIGHT =
-  TAP_WHEEL_VERTICAL_DETAIL_SCALE_FACTOR * TAP_WHEEL_HEIGHT;
-const TAP_WHEEL_VERTICAL_DETAIL_LENGTH =
-  TAP_WHEEL_VERTICAL_DETAIL_LENGTH_FACTOR * TAP_WHEEL_LENGTH;
-
-const TAP_WHEEL_HORIZONTAL_DETAIL_WIDTH =
-  TAP_WHEEL_HORIZONTAL_DETAIL_SCALE_FACTOR * TAP_WHEEL_WIDTH;
-const TAP_WHEEL_HORIZONTAL_DETAIL_HEIGHT =
-  TAP_WHEEL_HORIZONTAL_DETAIL_LENGTH_FACTOR * TAP_WHEEL_HEIGHT;
-const TAP_WHEEL_HORIZONTAL_DETAIL_LENGTH =
-  TAP_WHEEL_HORIZONTAL_DETAIL_LENGTH_FACTOR * TAP_WHEEL_LENGTH;
-
-const LADDER_BASE_WIDTH_FACTOR = 0.5;
-const LADDER_BASE_WIDTH =
-  LADDER_BASE_WIDTH_FACTOR * Math.min(TRUCK_CONFIG.LENGTH, TRUCK_CONFIG.WIDTH);
-const LADDER_BASE_HEIGHT_FACTOR = 0.1;
-const LADDER_BASE_HEIGHT = LADDER_BASE_HEIGHT_FACTOR * TRUCK_CONFIG.HEIGHT;
-
-const BASE_BLOCK_WIDTH_FACTOR = 0.6;
-const BASE_BLOCK_WIDTH = BASE_BLOCK_WIDTH_FACTOR * LADDER_BASE_WIDTH;
-const BASE_BLOCK_HEIGHT_FACTOR = 2;
-const BASE_BLOCK_HEIGHT = BASE_BLOCK_HEIGHT_FACTOR * LADDER_BASE_HEIGHT;
-const BASE_BLOCK_OFFSET_Y = 0.5 * (BASE_BLOCK_HEIGHT + LADDER_BASE_HEIGHT);
-
-const LADDER_PART_WIDTH_FACTOR = 2;
-const LADDER_PART_WIDTH = LADDER_PART_WIDTH_FACTOR * LADDER_BASE_WIDTH;
-const LADDER_PART_HEIGHT_FACTOR = 0.5;
-const LADDER_PART_HEIGHT = LADDER_PART_HEIGHT_FACTOR * LADDER_BASE_HEIGHT;
-const LADDER_PART_LENGTH_FACTOR = 0.1;
-const LADDER_PART_LENGTH = LADDER_PART_LENGTH_FACTOR * LADDER_BASE_WIDTH;
-const LADDER_PART_OFFSET_X = -0.5 * LADDER_PART_WIDTH;
-const LADDER_PART_OFFSET_Y =
-  0.5 * LADDER_BASE_HEIGHT + 0.5 * LADDER_PART_HEIGHT + 0.5 * BASE_BLOCK_HEIGHT;
-const LADDER_PART_OFFSET_Z = 0.5 * BASE_BLOCK_WIDTH + 0.5 * LADDER_PART_LENGTH;
-
-const LADDER_STEP_WIDTH = BASE_BLOCK_WIDTH;
-const LADDER_STEP_HEIGHT_FACTOR = 0.7;
-const LADDER_STEP_HEIGHT = LADDER_STEP_HEIGHT_FACTOR * LADDER_PART_HEIGHT;
-const LADDER_STEP_LENGTH_FACTOR = 0.1;
-const LADDER_STEP_LENGTH = LADDER_STEP_LENGTH_FACTOR * LADDER_BASE_WIDTH;
-const MAX_LADDER_STEPS = Math.floor(
-  (LADDER_PART_WIDTH / LADDER_STEP_LENGTH - 2) / 2
-);
-const LADDER_STEP_SPACING = LADDER_PART_WIDTH / (MAX_LADDER_STEPS + 1);
-
-const TOP_LADDER_OFFSET_X = LADDER_PART_WIDTH;
-const TOP_LADDER_OFFSET_Y = LADDER_PART_HEIGHT;
-
-const LADDER_SETUP_OFFSET_X = TRUCK_CONFIG.WIDTH / 2 - 0.6 * LADDER_BASE_WIDTH;
-const LADDER_SETUP_OFFSET_Y =
-  SUM_FLOOR_UNDERBODY_AND_PLAQUES +
-  TOP_BOTTOM_WALLS_HEIGHT +
-  BACK_BOX_HEIGHT +
-  0.5 * LADDER_BASE_HEIGHT;
+  const UPPER_TUBE_WIDTH_FACTOR = config.UPPER_TUBE_WIDTH_FACTOR;
+  const UPPER_TUBE_HEIGHT_FACTOR = config.UPPER_TUBE_HEIGHT_FACTOR;
+  const UPPER_TUBE_LENGTH_FACTOR = config.UPPER_TUBE_LENGTH_FACTOR;
+
+  const UPPER_TUBE_OFFSET_X_FACTOR = config.UPPER_TUBE_OFFSET_X_FACTOR;
+  const UPPER_TUBE_OFFSET_Y_FACTOR = config.UPPER_TUBE_OFFSET_Y_FACTOR;
+
+  const TAP_WHEEL_OFFSET_X_FACTOR = config.TAP_WHEEL_OFFSET_X_FACTOR;
+  const TAP_WHEEL_OFFSET_Y_FACTOR = config.TAP_WHEEL_OFFSET_Y_FACTOR;
+
+  const TAP_WHEEL_SCALE = 0.5;
+
+  const TAP_WHEEL_VERTICAL_DETAIL_SCALE_FACTOR =
+    config.TAP_WHEEL_VERTICAL_DETAIL_SCALE_FACTOR;
+  const TAP_WHEEL_VERTICAL_DETAIL_LENGTH_FACTOR =
+    config.TAP_WHEEL_VERTICAL_DETAIL_LENGTH_FACTOR;
+
+  const TAP_WHEEL_HORIZONTAL_DETAIL_SCALE_FACTOR =
+    config.TAP_WHEEL_HORIZONTAL_DETAIL_SCALE_FACTOR;
+  const TAP_WHEEL_HORIZONTAL_DETAIL_LENGTH_FACTOR =
+    config.TAP_WHEEL_HORIZONTAL_DETAIL_LENGTH_FACTOR;
+
+  WATER_WIDTH = WATER_WIDTH_FACTOR * BACK_BOX_HEIGHT;
+  WATER_HEIGHT = WATER_HEIGHT_FACTOR * BACK_BOX_WIDTH;
+  WATER_LENGTH = WATER_LENGTH_FACTOR * BACK_BOX_HEIGHT;
+
+  WATER_GLASS_WIDTH = WATER_GLASS_SCALE_FACTOR * WATER_WIDTH;
+  WATER_GLASS_HEIGHT = WATER_GLASS_SCALE_FACTOR * WATER_HEIGHT;
+  WATER_GLASS_LENGTH = WATER_GLASS_SCALE_FACTOR * WATER_LENGTH;
+
+  WATER_TANK_OFFSET_X =
+    -BACK_BOX_WIDTH / 2 +
+    WATER_TANK_OFFSET_X_FACTOR * WATER_GLASS_HEIGHT +
+    RIGHT_LEFT_WALLS_WIDTH;
+  WATER_TANK_OFFSET_Y =
+    -WATER_TANK_OFFSET_Y_FACTOR * WATER_GLASS_WIDTH + TOP_BOTTOM_WALLS_HEIGHT;
+  WATER_TANK_OFFSET_Z = 0;
+
+  BACK_TUBE_WIDTH = BACK_TUBE_SCALE_FACTOR * WATER_GLASS_WIDTH;
+  BACK_TUBE_HEIGHT = BACK_TUBE_SCALE_FACTOR * WATER_GLASS_HEIGHT;
+  BACK_TUBE_LENGTH = BACK_TUBE_WIDTH;
+
+  BACK_TUBE_OFFSET_X = 0;
+  BACK_TUBE_OFFSET_Y =
+    -BACK_TUBE_OFFSET_Y_FACTOR * WATER_GLASS_HEIGHT -
+    BACK_TUBE_OFFSET_Y_FACTOR * BACK_TUBE_HEIGHT;
+  BACK_TUBE_OFFSET_Z = 0;
+
+  FRONT_TUBE_WIDTH = FRONT_TUBE_WIDTH_FACTOR * BACK_TUBE_HEIGHT;
+  FRONT_TUBE_HEIGHT = FRONT_TUBE_HEIGHT_FACTOR * BACK_TUBE_WIDTH;
+  FRONT_TUBE_LENGTH = BACK_TUBE_LENGTH;
+
+  FRONT_TUBE_OFFSET_X =
+    -FRONT_TUBE_OFFSET_X_FACTOR * FRONT_TUBE_WIDTH + BACK_TUBE_WIDTH / 2;
+  FRONT_TUBE_OFFSET_Y =
+    -FRONT_TUBE_OFFSET_Y_FACTOR * WATER_GLASS_HEIGHT -
+    FRONT_TUBE_OFFSET_Y_FACTOR * FRONT_TUBE_HEIGHT -
+    BACK_TUBE_HEIGHT;
+  FRONT_TUBE_OFFSET_Z = 0;
+
+  UPPER_TUBE_WIDTH = UPPER_TUBE_WIDTH_FACTOR * FRONT_TUBE_WIDTH;
+  UPPER_TUBE_HEIGHT = UPPER_TUBE_HEIGHT_FACTOR * FRONT_TUBE_HEIGHT;
+  UPPER_TUBE_LENGTH = UPPER_TUBE_LENGTH_FACTOR * BACK_TUBE_LENGTH;
+
+  UPPER_TUBE_OFFSET_X =
+    UPPER_TUBE_OFFSET_X_FACTOR * BACK_TUBE_WIDTH + UPPER_TUBE_WIDTH / 2;
+  UPPER_TUBE_OFFSET_Y =
+    -UPPER_TUBE_OFFSET_Y_FACTOR * WATER_GLASS_HEIGHT -
+    UPPER_TUBE_OFFSET_Y_FACTOR * FRONT_TUBE_HEIGHT -
+    BACK_TUBE_HEIGHT;
+  UPPER_TUBE_OFFSET_Z = 0;
+
+  TAP_WHEEL_OFFSET_X =
+    TAP_WHEEL_OFFSET_X_FACTOR * WATER_GLASS_HEIGHT +
+    BACK_TUBE_HEIGHT +
+    TAP_WHEEL_OFFSET_X_FACTOR * FRONT_TUBE_HEIGHT;
+  TAP_WHEEL_OFFSET_Y =
+    TAP_WHEEL_OFFSET_Y_FACTOR * BACK_TUBE_WIDTH + UPPER_TUBE_WIDTH;
+  TAP_WHEEL_OFFSET_Z = 0;
+
+  TAP_WHEEL_WIDTH = TAP_WHEEL_SCALE;
+  TAP_WHEEL_HEIGHT = TAP_WHEEL_SCALE;
+  TAP_WHEEL_LENGTH = TAP_WHEEL_SCALE;
+
+  TAP_WHEEL_VERTICAL_DETAIL_WIDTH =
+    TAP_WHEEL_VERTICAL_DETAIL_SCALE_FACTOR * TAP_WHEEL_WIDTH;
+  TAP_WHEEL_VERTICAL_DETAIL_HEIGHT =
+    TAP_WHEEL_VERTICAL_DETAIL_SCALE_FACTOR * TAP_WHEEL_HEIGHT;
+  TAP_WHEEL_VERTICAL_DETAIL_LENGTH =
+    TAP_WHEEL_VERTICAL_DETAIL_LENGTH_FACTOR * TAP_WHEEL_LENGTH;
+
+  TAP_WHEEL_HORIZONTAL_DETAIL_WIDTH =
+    TAP_WHEEL_HORIZONTAL_DETAIL_SCALE_FACTOR * TAP_WHEEL_WIDTH;
+  TAP_WHEEL_HORIZONTAL_DETAIL_HEIGHT =
+    TAP_WHEEL_HORIZONTAL_DETAIL_LENGTH_FACTOR * TAP_WHEEL_HEIGHT;
+  TAP_WHEEL_HORIZONTAL_DETAIL_LENGTH =
+    TAP_WHEEL_HORIZONTAL_DETAIL_LENGTH_FACTOR * TAP_WHEEL_LENGTH;
+
+  const LADDER_BASE_WIDTH_FACTOR = config.LADDER_BASE_WIDTH_FACTOR;
+  LADDER_BASE_WIDTH =
+    LADDER_BASE_WIDTH_FACTOR *
+    Math.min(TRUCK_CONFIG.LENGTH, TRUCK_CONFIG.WIDTH);
+  const LADDER_BASE_HEIGHT_FACTOR = config.LADDER_BASE_HEIGHT_FACTOR;
+  LADDER_BASE_HEIGHT = LADDER_BASE_HEIGHT_FACTOR * TRUCK_CONFIG.HEIGHT;
+
+  const BASE_BLOCK_WIDTH_FACTOR = config.BASE_BLOCK_WIDTH_FACTOR;
+  BASE_BLOCK_WIDTH = BASE_BLOCK_WIDTH_FACTOR * LADDER_BASE_WIDTH;
+  const BASE_BLOCK_HEIGHT_FACTOR = config.BASE_BLOCK_HEIGHT_FACTOR;
+  BASE_BLOCK_HEIGHT = BASE_BLOCK_HEIGHT_FACTOR * LADDER_BASE_HEIGHT;
+  BASE_BLOCK_OFFSET_Y = 0.5 * (BASE_BLOCK_HEIGHT + LADDER_BASE_HEIGHT);
+
+  const LADDER_PART_WIDTH_FACTOR = config.LADDER_PART_WIDTH_FACTOR;
+  LADDER_PART_WIDTH = LADDER_PART_WIDTH_FACTOR * LADDER_BASE_WIDTH;
+  const LADDER_PART_HEIGHT_FACTOR = config.LADDER_PART_HEIGHT_FACTOR;
+  LADDER_PART_HEIGHT = LADDER_PART_HEIGHT_FACTOR * LADDER_BASE_HEIGHT;
+  const LADDER_PART_LENGTH_FACTOR = config.LADDER_PART_LENGTH_FACTOR;
+  LADDER_PART_LENGTH = LADDER_PART_LENGTH_FACTOR * LADDER_BASE_WIDTH;
+  LADDER_PART_OFFSET_X = -0.5 * LADDER_PART_WIDTH;
+  LADDER_PART_OFFSET_Y =
+    0.5 * LADDER_BASE_HEIGHT +
+    0.5 * LADDER_PART_HEIGHT +
+    0.5 * BASE_BLOCK_HEIGHT;
+  LADDER_PART_OFFSET_Z = 0.5 * BASE_BLOCK_WIDTH + 0.5 * LADDER_PART_LENGTH;
+
+  LADDER_STEP_WIDTH = BASE_BLOCK_WIDTH;
+  const LADDER_STEP_HEIGHT_FACTOR = config.LADDER_STEP_HEIGHT_FACTOR;
+  LADDER_STEP_HEIGHT = LADDER_STEP_HEIGHT_FACTOR * LADDER_PART_HEIGHT;
+  const LADDER_STEP_LENGTH_FACTOR = config.LADDER_STEP_LENGTH_FACTOR;
+  LADDER_STEP_LENGTH = LADDER_STEP_LENGTH_FACTOR * LADDER_BASE_WIDTH;
+  MAX_LADDER_STEPS = Math.floor(
+    (LADDER_PART_WIDTH / LADDER_STEP_LENGTH - 2) / 2
+  );
+  LADDER_STEP_SPACING = LADDER_PART_WIDTH / (MAX_LADDER_STEPS + 1);
+
+  // Each section rides on the one below it, sticking out of it by a tenth
+  // when retracted and still overlapping it when fully extended
+  LADDER_SECTION_COUNT = config.LADDER_SECTION_COUNT;
+  LADDER_SECTION_OFFSET_Y = LADDER_PART_HEIGHT;
+  MIN_LADDER_SECTION_OFFSET = 0.1 * LADDER_PART_WIDTH;
+  const LADDER_SECTION_OVERLAP_FACTOR = config.LADDER_SECTION_OVERLAP_FACTOR;
+  MAX_LADDER_SECTION_OFFSET = Math.max(
+    (1 - LADDER_SECTION_OVERLAP_FACTOR) * LADDER_PART_WIDTH,
+    MIN_LADDER_SECTION_OFFSET
+  );
+
+  LADDER_SETUP_OFFSET_X = TRUCK_CONFIG.WIDTH / 2 - 0.6 * LADDER_BASE_WIDTH;
+  LADDER_SETUP_OFFSET_Y =
+    SUM_FLOOR_UNDERBODY_AND_PLAQUES +
+    TOP_BOTTOM_WALLS_HEIGHT +
+    BACK_BOX_HEIGHT +
+    0.5 * LADDER_BASE_HEIGHT;
+}
+
+applyTruckConfig(DEFAULT_TRUCK_CONFIG);
@@ -0,0 +1,113 @@
+import {
+  perspective,
+  vec4,
+  mult,
+  mix,
+  subtract,
+  length,
+  normalize,
+} from "./libs/MV.js";
+import Camera from "./camera.js";
+
+/**
+ * A camera carried by a node of the scene, such as a camera chasing the truck
+ * or one mounted inside it.
+ *
+ * Its eye, target and up vector are given in the coordinates of the node and
+ * follow it as it moves, either rigidly or catching up with a lag. The eye
+ * stays where it is mounted: in perspective, zooming narrows the field of view
+ * instead of moving the eye.
+ */
+export default class FollowCamera extends Camera {
+  /**
+   * @param {import("./graphNode.js").default|null} node - The node the camera follows, none yet if null.
+   * @param {number[]} offset - Position of the eye, in the coordinates of the node.
+   * @param {number[]} target - Point the camera looks at, in the coordinates of the node.
+   * @param {number[]} up - Up direction of the camera, in the coordinates of the node.
+   * @param {import("./camera.js").Projection} [projection] - The projection, perspective by default.
+   * @param {number} [lag] - Time the camera takes to catch up with the node, in seconds (0 for none).
+   */
+  constructor(
+    node,
+    offset,
+    target,
+    up,
+    projection = Camera.perspective(),
+    lag = 0
+  ) {
+    // The default zoom shows the field of view of the projection
+    const zoom =
+      length(subtract(target, offset)) *
+      Math.tan((projection.fov * Math.PI) / 360);
+    super(offset, target, up, projection, zoom);
+
+    this.node = node;
+    this.offset = offset;
+    this.target = target;
+    this.localUp = up;
+    this.lag = lag;
+    // Whether the camera has caught up with the node since it was attached
+    this.placed = false;
+  }
+
+  /**
+   * Moves the camera with its node. The world matrices must be up to date.
+   *
+   * @param {number} dt - The time elapsed since the last update, in seconds.
+   */
+  update(dt) {
+    if (!this.node) return;
+
+    const toWorld = this.node.worldMatrix;
+    const point = (p) => mult(toWorld, vec4(...p, 1)).slice(0, 3);
+    const eye = point(this.offset);
+    const at = point(this.target);
+    const up = normalize(mult(toWorld, vec4(...this.localUp, 0)).slice(0, 3));
+
+    // Exponential smoothing, independent of the frame rate
+    const amount =
+      this.placed && this.lag > 0 ? 1 - Math.exp(-dt / this.lag) : 1;
+    this.eye = mix(this.eye, eye, amount);
+    this.at = mix(this.at, at, amount);
+    this.up = normalize(mix(this.up, up, amount));
+    this.placed = true;
+  }
+
+  /**
+   * Makes the camera follow another node, jumping to it on the next update.
+   *
+   * @param {import("./graphNode.js").default|null} node - The node to follow.
+   */
+  attach(node) {
+    this.node = node;
+    this.placed = false;
+  }
+
+  /**
+   * Only restores the zoom, the node decides where the camera is.
+   */
+  reset() {
+    this.zoom = this.home.zoom;
+  }
+
+  /**
+   * @returns {number[]} The eye position, where the camera is mounted.
+   */
+  effectiveEye() {
+    return this.eye;
+  }
+
+  /**
+   * @param {number} aspect - Width over height of the viewport.
+   * @param {number} [zoom] - Half-height of the framed area at the target.
+   * @returns {mat4} The projection matrix.
+   */
+  projectionMatrix(aspect, zoom = this.zoom) {
+    if (!this.isPerspective) return super.projectionMatrix(aspect, zoom);
+
+    const { near, far } = this.projection;
+    const distance = length(subtract(this.at, this.eye));
+    const fov = (2 * Math.atan(zoom / distance) * 180) / Math.PI;
+    return perspective(fov, aspect, near, far);
+  }
+}
@@ -0,0 +1,310 @@
+import { flatten } from "./libs/MV.js";
+import { primitiveName } from "./primitives.js";
+import { DEFAULT_MATERIAL } from "./lighting.js";
+
+export { exportGLTF, exportGLB };
+
+// Constants of the glTF 2.0 specification
+const FLOAT = 5126;
+const UNSIGNED_SHORT = 5123;
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const GLB_JSON_CHUNK = 0x4e4f534a; // "JSON"
+const GLB_BIN_CHUNK = 0x004e4942; // "BIN\0"
+
+/**
+ * Collects the nodes, meshes, materials and vertex data of a scene graph
+ * into a glTF document and the binary buffer it refers to.
+ *
+ * Each primitive (CUBE, CYLINDER...) is written once and shared by every mesh
+ * that uses it; there is one mesh per primitive, draw mode and material.
+ * Hidden nodes are left out, together with their children.
+ */
+class GLTFBuilder {
+  constructor() {
+    this.json = {
+      asset: { version: "2.0", generator: "Firetruck-Hierarchical-Model" },
+      scene: 0,
+      scenes: [{ nodes: [] }],
+      nodes: [],
+      meshes: [],
+      materials: [],
+      accessors: [],
+      bufferViews: [],
+      buffers: [],
+    };
+    /** @type {Uint8Array[]} */
+    this.chunks = [];
+    this.byteLength = 0;
+
+    this.geometries = new Map();
+    this.meshes = new Map();
+    this.materials = new Map();
+  }
+
+  /**
+   * Adds a node and its visible children.
+   *
+   * @param {import("./graphNode.js").default} node - The node to add.
+   * @returns {number} The index of the glTF node.
+   */
+  addNode(node) {
+    const gltfNode = {};
+    if (node.name) gltfNode.name = node.name;
+    gltfNode.matrix = Array.from(flatten(node.localMatrix));
+
+    const index = this.json.nodes.length;
+    this.json.nodes.push(gltfNode);
+
+    if (node.drawInfo) gltfNode.mesh = this.addMesh(node.drawInfo);
+
+    const children = node.children
+      .filter((child) => child.visible)
+      .map((child) => this.addNode(child));
+    if (children.length > 0) gltfNode.children = children;
+
+    return index;
+  }
+
+  /**
+   * Returns the mesh drawing a primitive with the given draw info, adding it
+   * the first time.
+   *
+   * @param {import("./graphNode.js").DrawInfo} drawInfo - What the node draws.
+   * @returns {number} The index of the glTF mesh.
+   */
+  addMesh(drawInfo) {
+    const name = primitiveName(drawInfo.primitive);
+    // The WebGL draw modes have the same values as the glTF ones
+    const mode = drawInfo.currentMode;
+    const material = this.addMaterial(drawInfo);
+    const key = `${name}/${mode}/${material}`;
+
+    if (!this.meshes.has(key)) {
+      const geometry = this.addGeometry(name, drawInfo.primitive);
+      this.meshes.set(key, this.json.meshes.length);
+      this.json.meshes.push({
+        name,
+        primitives: [
+          {
+            attributes: {
+              POSITION: geometry.positions,
+              NORMAL: geometry.normals,
+            },
+            indices: mode === 1 ? geometry.edges : geometry.faces,
+            mode,
+            material,
+          },
+        ],
+      });
+    }
+    return this.meshes.get(key);
+  }
+
+  /**
+   * Returns the material with the base color of the given draw info, adding
+   * it the first time.
+   *
+   * The Blinn-Phong shininess is turned into an approximate roughness.
+   *
+   * @param {import("./graphNode.js").DrawInfo} drawInfo - What the node draws.
+   * @returns {number} The index of the glTF material.
+   */
+  addMaterial(drawInfo) {
+    const color = Array.from(drawInfo.color);
+    const { shininess } = drawInfo.material ?? DEFAULT_MATERIAL;
+    const roughness = Math.sqrt(2 / (shininess + 2));
+    const blend = drawInfo.alphaBlending || color[3] < 1;
+    const key = JSON.stringify([color, roughness, blend]);
+
+    if (!this.materials.has(key)) {
+      this.materials.set(key, this.json.materials.length);
+      this.json.materials.push({
+        pbrMetallicRoughness: {
+          baseColorFactor: color,
+          metallicFactor: 0,
+          roughnessFactor: roughness,
+        },
+        alphaMode: blend ? "BLEND" : "OPAQUE",
+        // The shader lights both sides of the faces
+        doubleSided: true,
+      });
+    }
+    return this.materials.get(key);
+  }
+
+  /**
+   * Returns the accessors of the vertex data of a primitive, writing it the
+   * first time.
+   *
+   * @param {string} name - The name of the primitive.
+   * @param {Object} primitive - The primitive module.
+   * @returns {{positions: number, normals: number, faces: number, edges: number}}
+   *  The indices of the glTF accessors.
+   */
+  addGeometry(name, primitive) {
+    if (!this.geometries.has(name)) {
+      const { points, normals, faces, edges } = primitive.geometry();
+      const positions = flatten(points);
+
+      const min = [Infinity, Infinity, Infinity];
+      const max = [-Infinity, -Infinity, -Infinity];
+      for (let i = 0; i < positions.length; i++) {
+        min[i % 3] = Math.min(min[i % 3], positions[i]);
+        max[i % 3] = Math.max(max[i % 3], positions[i]);
+      }
+
+      this.geometries.set(name, {
+        positions: this.addAccessor(positions, "VEC3", ARRAY_BUFFER, {
+          min,
+          max,
+        }),
+        normals: this.addAccessor(flatten(normals), "VEC3", ARRAY_BUFFER),
+        faces: this.addAccessor(
+          new Uint16Array(faces),
+          "SCALAR",
+          ELEMENT_ARRAY_BUFFER
+        ),
+        edges: this.addAccessor(
+          new Uint16Array(edges),
+          "SCALAR",
+          ELEMENT_ARRAY_BUFFER
+        ),
+      });
+    }
+    return this.geometries.get(name);
+  }
+
+  /**
+   * Writes an array to the buffer, with its own buffer view and accessor.
+   *
+   * @param {Float32Array|Uint16Array} array - The data to write.
+   * @param {string} type - The glTF accessor type ("SCALAR" or "VEC3").
+   * @param {number} target - The buffer view target.
+   * @param {Object} [bounds] - The min and max of the data, required for positions.
+   * @returns {number} The index of the glTF accessor.
+   */
+  addAccessor(array, type, target, bounds = {}) {
+    const bytes = new Uint8Array(
+      array.buffer,
+      array.byteOffset,
+      array.byteLength
+    );
+    // Buffer views start aligned to 4 bytes
+    const padding = (4 - (this.byteLength % 4)) % 4;
+    if (padding > 0) this.chunks.push(new Uint8Array(padding));
+
+    const byteOffset = this.byteLength + padding;
+    this.chunks.push(bytes);
+    this.byteLength = byteOffset + bytes.byteLength;
+
+    this.json.bufferViews.push({
+      buffer: 0,
+      byteOffset,
+      byteLength: bytes.byteLength,
+      target,
+    });
+    this.json.accessors.push({
+      bufferView: this.json.bufferViews.length - 1,
+      componentType: array instanceof Float32Array ? FLOAT : UNSIGNED_SHORT,
+      count: array.length / (type === "VEC3" ? 3 : 1),
+      type,
+      ...bounds,
+    });
+    return this.json.accessors.length - 1;
+  }
+
+  /**
+   * Joins the written data into a single buffer, padded to 4 bytes.
+   *
+   * @returns {Uint8Array} The binary buffer.
+   */
+  binary() {
+    const binary = new Uint8Array(Math.ceil(this.byteLength / 4) * 4);
+    let offset = 0;
+    this.chunks.forEach((chunk) => {
+      binary.set(chunk, offset);
+      offset += chunk.byteLength;
+    });
+    return binary;
+  }
+}
+
+/**
+ * Builds the glTF document of a scene graph.
+ *
+ * @param {import("./graphNode.js").default} root - The root of the exported hierarchy.
+ * @returns {{json: Object, binary: Uint8Array}} The document and its buffer.
+ */
+function build(root) {
+  const builder = new GLTFBuilder();
+  builder.json.scenes[0].nodes.push(builder.addNode(root));
+
+  const binary = builder.binary();
+  builder.json.buffers.push({ byteLength: binary.byteLength });
+
+  // glTF does not allow empty arrays
+  Object.keys(builder.json).forEach((key) => {
+    if (Array.isArray(builder.json[key]) && builder.json[key].length === 0) {
+      delete builder.json[key];
+    }
+  });
+  return { json: builder.json, binary };
+}
+
+/**
+ * Exports a scene graph as a .gltf document, with the buffer embedded as a
+ * data URI.
+ *
+ * @param {import("./graphNode.js").default} root - The root of the exported hierarchy.
+ * @returns {string} The glTF JSON document.
+ */
+function exportGLTF(root) {
+  const { json, binary } = build(root);
+
+  let text = "";
+  for (let i = 0; i < binary.length; i += 0x8000) {
+    text += String.fromCharCode(...binary.subarray(i, i + 0x8000));
+  }
+  json.buffers[0].uri = `data:application/octet-stream;base64,${btoa(text)}`;
+
+  return JSON.stringify(json);
+}
+
+/**
+ * Exports a scene graph as a binary .glb file.
+ *
+ * @param {import("./graphNode.js").default} root - The root of the exported hierarchy.
+ * @returns {ArrayBuffer} The contents of the .glb file.
+ */
+function exportGLB(root) {
+  const { json, binary } = build(root);
+
+  // The JSON chunk is padded with spaces, the binary one already with zeros
+  const encoded = new TextEncoder().encode(JSON.stringify(json));
+  const jsonChunk = new Uint8Array(Math.ceil(encoded.length / 4) * 4).fill(
+    0x20
+  );
+  jsonChunk.set(encoded);
+
+  const byteLength = 12 + 8 + jsonChunk.byteLength + 8 + binary.byteLength;
+  const glb = new ArrayBuffer(byteLength);
+  const view = new DataView(glb);
+  const bytes = new Uint8Array(glb);
+
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, byteLength, true);
+
+  view.setUint32(12, jsonChunk.byteLength, true);
+  view.setUint32(16, GLB_JSON_CHUNK, true);
+  bytes.set(jsonChunk, 20);
+
+  const binOffset = 20 + jsonChunk.byteLength;
+  view.setUint32(binOffset, binary.byteLength, true);
+  view.setUint32(binOffset + 4, GLB_BIN_CHUNK, true);
+  bytes.set(binary, binOffset + 8);
+
+  return glb;
+}
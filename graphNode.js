@@ -1,4 +1,16 @@
-import { mat4, mult, flatten, rotate, vec3, scalem } from "./libs/MV.js";
+import {
+  mat4,
+  mult,
+  flatten,
+  rotate,
+  vec3,
+  vec4,
+  mix,
+  scalem,
+  normalMatrix,
+} from "./libs/MV.js";
+import { uploadMaterial } from "./lighting.js";
+import { PRIMITIVES, primitiveName } from "./primitives.js";
 
 /**
  * @typedef {Object} DrawInfo
@@ -7,10 +19,48 @@ import { mat4, mult, flatten, rotate, vec3, scalem } from "./libs/MV.js";
  * @property {string} currentMode - The current drawing mode.
  * @property {boolean} outline - Whether to draw the outline.
  * @property {boolean} alphaBlending - Whether to use alpha blending.
+ * @property {boolean} fixedMode - Whether currentMode ignores the global render mode.
+ * @property {import("./lighting.js").Material} [material] - The reflection coefficients used for lighting.
  */
 
+/**
+ * A node and its subtree as plain data, as written by toJSON.
+ *
+ * @typedef {Object} NodeData
+ * @property {string} [name] - The name of the node.
+ * @property {number[][]} [matrix] - The local matrix, by rows; identity if omitted.
+ * @property {boolean} [visible] - Only written when the node is hidden.
+ * @property {Object} [drawInfo] - What the node draws, with the primitive and
+ *  the drawing mode by name (e.g. "CUBE", "TRIANGLES").
+ * @property {NodeData[]} [children] - The children of the node.
+ */
+
+/**
+ * An axis-aligned bounding box.
+ *
+ * @typedef {Object} AABB
+ * @property {number[]} min - The corner with the smallest coordinates.
+ * @property {number[]} max - The corner with the largest coordinates.
+ */
+
+/**
+ * An oriented bounding box, in world coordinates.
+ *
+ * @typedef {Object} OBB
+ * @property {number[]} center - The center of the box.
+ * @property {number[][]} axes - The unit directions of the edges of the box.
+ * @property {number[]} halfSizes - Half the length of the box along each axis.
+ */
+
+// Drawing modes written to JSON, by name
+const DRAW_MODES = ["TRIANGLES", "LINES"];
+
 export default class Node {
-  constructor() {
+  /**
+   * @param {string} [name] - The name used to look the node up in the hierarchy.
+   */
+  constructor(name = "") {
+    this.name = name;
     this.children = [];
     this.localMatrix = mat4(); // Identity matrix
     this.worldMatrix = mat4(); // Identity matrix
@@ -19,6 +69,8 @@ export default class Node {
     this.drawInfo = null;
     this.rotation = 0;
     this.needsMatrixUpdate = true; // Track if matrix needs updating
+    this.visible = true; // Hidden nodes skip drawing along with their children
+    this.highlighted = false; // Highlighted nodes are drawn tinted along with their children
   }
 
   setParent(parent) {
@@ -31,24 +83,286 @@ export default class Node {
     this.needsMatrixUpdate = true;
   }
 
-  updateWorldMatrix(parentWorldMatrix) {
-    if (!this.needsMatrixUpdate && !parentWorldMatrix) return;
+  /**
+   * Recomputes the world matrices of this subtree.
+   *
+   * Only nodes whose local matrix changed (or whose ancestor changed) are
+   * recomputed, so a persistent graph can be updated every frame cheaply.
+   *
+   * @param {mat4} [parentWorldMatrix] - The world matrix of the parent node.
+   * @param {boolean} [parentChanged] - Whether the parent world matrix changed.
+   */
+  updateWorldMatrix(parentWorldMatrix, parentChanged = false) {
+    const changed = this.needsMatrixUpdate || parentChanged;
+
+    if (changed) {
+      this.worldMatrix = parentWorldMatrix
+        ? mult(parentWorldMatrix, this.localMatrix)
+        : this.localMatrix;
+      this.needsMatrixUpdate = false;
+    }
+
+    this.children.forEach((child) =>
+      child.updateWorldMatrix(this.worldMatrix, changed)
+    );
+  }
+
+  /**
+   * Calls the callback for this node and every node below it (depth first).
+   *
+   * @param {function(Node): void} callback - The function to call on each node.
+   */
+  traverse(callback) {
+    callback(this);
+    this.children.forEach((child) => child.traverse(callback));
+  }
+
+  /**
+   * Finds the first node in this subtree (depth first) with the given name.
+   *
+   * @param {string} name - The name of the node.
+   * @returns {Node|null} The node found, or null if there is none.
+   */
+  find(name) {
+    if (this.name === name) return this;
+
+    for (const child of this.children) {
+      const found = child.find(name);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * Finds every node in this subtree (depth first) that matches the predicate.
+   *
+   * @param {function(Node): boolean} predicate - The test applied to each node.
+   * @returns {Node[]} The matching nodes.
+   */
+  findAll(predicate) {
+    const found = [];
+    this.traverse((node) => {
+      if (predicate(node)) found.push(node);
+    });
+    return found;
+  }
+
+  /**
+   * Finds a node by a slash-separated path of names relative to this node,
+   * e.g. "truck/ladder/ladders/top_ladder".
+   *
+   * Unnamed nodes (pure offsets) are looked through, so each segment of the
+   * path matches the nearest named descendant of the previous one.
+   *
+   * @param {string} path - The path of names.
+   * @returns {Node|null} The node found, or null if the path does not exist.
+   */
+  findPath(path) {
+    const names = path.split("/").filter((name) => name.length > 0);
 
-    this.worldMatrix = parentWorldMatrix
-      ? mult(parentWorldMatrix, this.localMatrix)
-      : this.localMatrix;
+    let node = this;
+    for (const name of names) {
+      node = node.findNamedChild(name);
+      if (!node) return null;
+    }
+    return node;
+  }
+
+  /**
+   * Finds the nearest named descendant with the given name, looking through
+   * unnamed nodes only.
+   *
+   * @param {string} name - The name of the node.
+   * @returns {Node|null} The node found, or null if there is none.
+   */
+  findNamedChild(name) {
+    for (const child of this.children) {
+      if (child.name === name) return child;
+
+      if (!child.name) {
+        const found = child.findNamedChild(name);
+        if (found) return found;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Returns the slash-separated path of names from the root to this node,
+   * skipping unnamed nodes. It can be passed back to findPath on the root.
+   *
+   * @returns {string} The path of this node.
+   */
+  getPath() {
+    const names = [];
+    for (let node = this; node; node = node.parent) {
+      if (node.name && node.parent) names.unshift(node.name);
+    }
+    return names.join("/");
+  }
+
+  /**
+   * Returns the bounding box of what this node draws, in its own coordinates.
+   *
+   * @returns {AABB|null} The bounds of the primitive, or null if the node draws nothing.
+   */
+  getLocalBounds() {
+    return this.drawInfo ? this.drawInfo.primitive.bounds() : null;
+  }
 
-    this.children.forEach((child) => child.updateWorldMatrix(this.worldMatrix));
-    this.needsMatrixUpdate = false;
+  /**
+   * Returns the world axis-aligned bounding box of what this node draws.
+   *
+   * Like the other world bounds, it uses the world matrices computed by the
+   * last updateWorldMatrix.
+   *
+   * @returns {AABB|null} The box, or null if the node draws nothing.
+   */
+  getWorldAABB() {
+    const bounds = this.getLocalBounds();
+    return bounds && transformAABB(bounds, this.worldMatrix);
   }
 
-  draw(gl, program) {
+  /**
+   * Returns the world oriented bounding box of what this node draws, which
+   * follows the rotations of the node instead of growing with them.
+   *
+   * @returns {OBB|null} The box, or null if the node draws nothing.
+   */
+  getWorldOBB() {
+    const bounds = this.getLocalBounds();
+    if (!bounds) return null;
+
+    const m = this.worldMatrix;
+    const center = mult(m, vec4(...mix(bounds.min, bounds.max, 0.5), 1));
+    const axes = [];
+    const halfSizes = [];
+
+    for (let axis = 0; axis < 3; axis++) {
+      const halfSize = (bounds.max[axis] - bounds.min[axis]) / 2;
+      const edge = [m[0][axis], m[1][axis], m[2][axis]].map(
+        (value) => value * halfSize
+      );
+      const halfLength = Math.hypot(...edge);
+
+      halfSizes.push(halfLength);
+      axes.push(
+        halfLength > 0 ? edge.map((value) => value / halfLength) : [0, 0, 0]
+      );
+    }
+
+    return { center: [center[0], center[1], center[2]], axes, halfSizes };
+  }
+
+  /**
+   * Returns the world axis-aligned bounding box of everything this subtree
+   * draws. Hidden nodes are left out, together with their children.
+   *
+   * @returns {AABB|null} The box, or null if the subtree draws nothing.
+   */
+  getSubtreeAABB() {
+    if (!this.visible) return null;
+
+    return this.children.reduce(
+      (box, child) => unionAABB(box, child.getSubtreeAABB()),
+      this.getWorldAABB()
+    );
+  }
+
+  /**
+   * Describes this node and its subtree as plain data, so JSON.stringify(node)
+   * writes the whole hierarchy.
+   *
+   * Matrices are rounded to 9 decimals so files do not change with floating
+   * point noise; properties with default values are left out.
+   *
+   * @returns {NodeData} The data of this subtree.
+   */
+  toJSON() {
+    const data = {};
+    if (this.name) data.name = this.name;
+
+    const matrix = this.localMatrix.map((row) =>
+      Array.from(row, (value) => Math.round(value * 1e9) / 1e9 || 0)
+    );
+    if (matrix.some((row, i) => row.some((value, j) => value !== +(i === j)))) {
+      data.matrix = matrix;
+    }
+
+    if (!this.visible) data.visible = false;
+    if (this.drawInfo) data.drawInfo = drawInfoToJSON(this.drawInfo);
+    if (this.children.length > 0) {
+      data.children = this.children.map((child) => child.toJSON());
+    }
+    return data;
+  }
+
+  /**
+   * Builds a hierarchy of nodes from the data written by toJSON.
+   *
+   * @param {NodeData} data - The data of the subtree.
+   * @returns {Node} The root of the new subtree.
+   * @throws {Error} If the data is malformed or uses an unknown primitive or mode.
+   */
+  static fromJSON(data) {
+    if (!data || typeof data !== "object") {
+      throw new Error("Invalid node: expected an object");
+    }
+
+    const node = new Node(data.name ?? "");
+
+    if (data.matrix !== undefined) {
+      const values = Array.isArray(data.matrix) ? data.matrix.flat() : [];
+      if (
+        data.matrix.length !== 4 ||
+        values.length !== 16 ||
+        !values.every(Number.isFinite)
+      ) {
+        throw new Error(`Invalid matrix in node "${node.name}"`);
+      }
+      node.localMatrix = mat4(...values);
+    }
+
+    if (data.visible === false) node.visible = false;
+    if (data.drawInfo) {
+      node.drawInfo = drawInfoFromJSON(data.drawInfo, node.name);
+    }
+    (data.children ?? []).forEach((child) =>
+      Node.fromJSON(child).setParent(node)
+    );
+    return node;
+  }
+
+  /**
+   * Draws this subtree as seen from the given view.
+   *
+   * @param {WebGL2RenderingContext} gl - The WebGL context.
+   * @param {WebGLProgram} program - The program used to draw.
+   * @param {mat4} [viewMatrix] - The view matrix of the camera.
+   * @param {boolean} [highlighted] - Whether an ancestor is highlighted.
+   */
+  draw(gl, program, viewMatrix = mat4(), highlighted = false) {
+    if (!this.visible) return;
+
+    highlighted = highlighted || this.highlighted;
+
     if (this.drawInfo) {
       const u_base_color = gl.getUniformLocation(program, "u_base_color");
       const u_model_view = gl.getUniformLocation(program, "u_model_view");
+      const u_normals = gl.getUniformLocation(program, "u_normals");
+      const u_use_lighting = gl.getUniformLocation(program, "u_use_lighting");
+      const u_highlight = gl.getUniformLocation(program, "u_highlight");
+
+      const modelView = mult(viewMatrix, this.worldMatrix);
 
       gl.uniform4fv(u_base_color, this.drawInfo.color || [1, 0, 0, 1]);
-      gl.uniformMatrix4fv(u_model_view, false, flatten(this.worldMatrix));
+      gl.uniformMatrix4fv(u_model_view, false, flatten(modelView));
+      gl.uniformMatrix4fv(u_normals, false, flatten(normalMatrix(modelView)));
+      gl.uniform1i(u_highlight, highlighted);
+
+      // Wireframes are drawn flat, only shaded surfaces are lit
+      gl.uniform1i(u_use_lighting, this.drawInfo.currentMode !== gl.LINES);
+      uploadMaterial(gl, program, this.drawInfo.material);
       
       if (this.drawInfo.alphaBlending) {
         gl.enable(gl.BLEND);
@@ -60,6 +374,7 @@ export default class Node {
       if(this.drawInfo.outline && this.drawInfo.outline === true || this.drawInfo.outline === undefined) {
         if (this.drawInfo.currentMode !== gl.LINES) {
           gl.uniform4fv(u_base_color, [0, 0, 0, 1]);
+          gl.uniform1i(u_use_lighting, false);
           this.drawInfo.primitive.draw(gl, program, gl.LINES);
         }
       }
@@ -69,7 +384,17 @@ export default class Node {
       }
     }
 
-    this.children.forEach((child) => child.draw(gl, program));
+    this.children.forEach((child) =>
+      child.draw(gl, program, viewMatrix, highlighted)
+    );
+  }
+
+  /**
+   * Resets the local matrix to the identity so it can be composed again.
+   */
+  resetTransform() {
+    this.localMatrix = mat4();
+    this.needsMatrixUpdate = true;
   }
 
   translate(x, y, z) {
@@ -105,3 +430,100 @@ export default class Node {
     this.needsMatrixUpdate = true;
   }
 }
+
+/**
+ * Returns the axis-aligned box enclosing a box transformed by a matrix.
+ *
+ * @param {AABB} box - The box to transform.
+ * @param {mat4} matrix - The transformation.
+ * @returns {AABB} The box enclosing the 8 transformed corners.
+ */
+function transformAABB(box, matrix) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+
+  for (let corner = 0; corner < 8; corner++) {
+    const point = mult(
+      matrix,
+      vec4(
+        corner & 1 ? box.max[0] : box.min[0],
+        corner & 2 ? box.max[1] : box.min[1],
+        corner & 4 ? box.max[2] : box.min[2],
+        1
+      )
+    );
+    for (let axis = 0; axis < 3; axis++) {
+      min[axis] = Math.min(min[axis], point[axis]);
+      max[axis] = Math.max(max[axis], point[axis]);
+    }
+  }
+  return { min, max };
+}
+
+/**
+ * Returns the smallest box enclosing two boxes.
+ *
+ * @param {AABB|null} a - A box, or null for none.
+ * @param {AABB|null} b - A box, or null for none.
+ * @returns {AABB|null} The union, or null if both are null.
+ */
+function unionAABB(a, b) {
+  if (!a || !b) return a ?? b;
+
+  return {
+    min: a.min.map((value, axis) => Math.min(value, b.min[axis])),
+    max: a.max.map((value, axis) => Math.max(value, b.max[axis])),
+  };
+}
+
+/**
+ * Writes a draw info as plain data, with the primitive and mode by name.
+ *
+ * @param {DrawInfo} drawInfo - The draw info of a node.
+ * @returns {Object} The data of the draw info.
+ */
+function drawInfoToJSON(drawInfo) {
+  const data = {
+    primitive: primitiveName(drawInfo.primitive),
+    color: Array.from(drawInfo.color),
+    mode: DRAW_MODES.find(
+      (mode) => WebGL2RenderingContext[mode] === drawInfo.currentMode
+    ),
+  };
+  if (drawInfo.fixedMode) data.fixedMode = true;
+  if (drawInfo.outline !== undefined) data.outline = drawInfo.outline;
+  if (drawInfo.alphaBlending) data.alphaBlending = true;
+  if (drawInfo.material) data.material = { ...drawInfo.material };
+  return data;
+}
+
+/**
+ * Reads a draw info written by drawInfoToJSON.
+ *
+ * @param {Object} data - The data of the draw info.
+ * @param {string} name - The name of the node, used in the error messages.
+ * @returns {DrawInfo} The draw info.
+ * @throws {Error} If the primitive or the mode is unknown.
+ */
+function drawInfoFromJSON(data, name) {
+  const primitive = PRIMITIVES[data.primitive];
+  if (!primitive) {
+    throw new Error(`Unknown primitive "${data.primitive}" in node "${name}"`);
+  }
+
+  const mode = data.mode ?? "TRIANGLES";
+  if (!DRAW_MODES.includes(mode)) {
+    throw new Error(`Unknown drawing mode "${mode}" in node "${name}"`);
+  }
+
+  const drawInfo = {
+    primitive,
+    color: data.color ?? [1, 0, 0, 1],
+    currentMode: WebGL2RenderingContext[mode],
+  };
+  if (data.fixedMode) drawInfo.fixedMode = true;
+  if (data.outline !== undefined) drawInfo.outline = data.outline;
+  if (data.alphaBlending) drawInfo.alphaBlending = true;
+  if (data.material) drawInfo.material = { ...data.material };
+  return drawInfo;
+}
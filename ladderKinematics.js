@@ -0,0 +1,179 @@
+import {
+  mult,
+  rotate,
+  translate,
+  inverse,
+  vec3,
+  vec4,
+  normalize,
+} from "./libs/MV.js";
+
+export { ladderTipPose, solveLadder, ladderLength };
+
+/**
+ * The dimensions and limits of a ladder, and where it stands in the world.
+ *
+ * The ladder turns around the vertical axis of its base, then tilts around a
+ * pivot above it. Lying down it points along -X, and each section sliding out
+ * rides on the one below it.
+ *
+ * @typedef {Object} LadderGeometry
+ * @property {mat4} base - The world matrix of the base, before the ladder turns.
+ * @property {number} pivotHeight - Height of the tilt pivot above the base.
+ * @property {number} sectionLength - Length of each section.
+ * @property {number} sectionCount - Number of sections sliding out, all but the bottom one.
+ * @property {number} sectionRise - Height of each section above the one below it.
+ * @property {number} minOffset - How far each section sticks out when retracted.
+ * @property {number} maxOffset - How far each section sticks out when fully extended.
+ * @property {number} minTilt - Lowest tilt, in degrees.
+ * @property {number} maxTilt - Highest tilt, in degrees.
+ */
+
+/**
+ * The controls of a ladder.
+ *
+ * @typedef {Object} LadderPose
+ * @property {number} angle - Turn around the vertical axis, in degrees.
+ * @property {number} tilt - Tilt around the pivot, in degrees.
+ * @property {number} extension - From 0 (retracted) to 1 (fully extended).
+ */
+
+/**
+ * Where the tip of a ladder is and where it points to.
+ *
+ * @typedef {Object} TipPose
+ * @property {number[]} position - The tip, in world coordinates.
+ * @property {number[]} direction - The unit direction of the ladder, towards the tip.
+ */
+
+/**
+ * Returns the length of a ladder from the pivot to the tip, along the ladder.
+ *
+ * The total length does not depend on how the extension is shared between
+ * the sections.
+ *
+ * @param {LadderGeometry} geometry - The ladder.
+ * @param {number} extension - From 0 (retracted) to 1 (fully extended).
+ * @returns {number} The length of the ladder.
+ */
+function ladderLength(geometry, extension) {
+  const { sectionLength, sectionCount, minOffset, maxOffset } = geometry;
+  const offset = minOffset + extension * (maxOffset - minOffset);
+  return sectionLength + sectionCount * offset;
+}
+
+/**
+ * Forward kinematics: returns where the tip of a ladder is for given controls.
+ *
+ * @param {LadderGeometry} geometry - The ladder.
+ * @param {LadderPose} pose - The controls of the ladder.
+ * @returns {TipPose} The pose of the tip.
+ */
+function ladderTipPose(geometry, pose) {
+  const toWorld = mult(
+    mult(geometry.base, rotate(pose.angle, vec3(0, 1, 0))),
+    mult(
+      translate(0, geometry.pivotHeight, 0),
+      rotate(pose.tilt, vec3(0, 0, 1))
+    )
+  );
+
+  const tip = mult(
+    toWorld,
+    vec4(
+      -ladderLength(geometry, pose.extension),
+      geometry.sectionCount * geometry.sectionRise,
+      0,
+      1
+    )
+  );
+  const direction = mult(toWorld, vec4(-1, 0, 0, 0));
+
+  return {
+    position: tip.slice(0, 3),
+    direction: normalize(direction.slice(0, 3)),
+  };
+}
+
+/**
+ * Inverse kinematics: returns the controls that bring the tip of a ladder to
+ * a target point.
+ *
+ * The ladder turns to face the target, tilts to aim at it and extends to
+ * reach it. If that is beyond the limits, it tries turning away from the
+ * target instead and tilting back over the top. A target out of reach either
+ * way gets the closest controls within the limits facing it, which the tip
+ * may not be able to reach.
+ *
+ * @param {LadderGeometry} geometry - The ladder.
+ * @param {number[]} target - The point to reach, in world coordinates.
+ * @returns {LadderPose & {reachable: boolean}} The controls, and whether
+ *  they bring the tip to the target.
+ */
+function solveLadder(geometry, target) {
+  const [x, y, z] = mult(inverse(geometry.base), vec4(...target, 1));
+
+  // The ladder lies along -X, which the turn takes to (-cos, 0, sin)
+  const angle = (Math.atan2(z, -x) * 180) / Math.PI;
+
+  // In the plane of the ladder, from the pivot: forward and up
+  const forward = Math.hypot(x, z);
+  const up = y - geometry.pivotHeight;
+
+  const facing = solveInPlane(geometry, angle, forward, up);
+  if (facing.reachable) return facing;
+
+  // Turned away, the target lies behind the pivot
+  const away = solveInPlane(
+    geometry,
+    angle > 0 ? angle - 180 : angle + 180,
+    -forward,
+    up
+  );
+  return away.reachable ? away : facing;
+}
+
+/**
+ * Returns the controls that bring the tip of a ladder to a point of the plane
+ * it tilts in, once turned by the given angle.
+ *
+ * @param {LadderGeometry} geometry - The ladder.
+ * @param {number} angle - Turn around the vertical axis, in degrees.
+ * @param {number} forward - Distance of the point from the pivot, along the
+ *  ladder lying down (negative if behind the pivot).
+ * @param {number} up - Height of the point above the pivot.
+ * @returns {LadderPose & {reachable: boolean}} The controls, the closest ones
+ *  within the limits, and whether they bring the tip to the point.
+ */
+function solveInPlane(geometry, angle, forward, up) {
+  // The tip rides above the axis of the bottom section by the rise of the others
+  const rise = geometry.sectionCount * geometry.sectionRise;
+  const length = Math.sqrt(
+    Math.max(forward * forward + up * up - rise * rise, 0)
+  );
+
+  // The tilt turns the tip (-length, rise) onto the point (-forward, up)
+  const tilt =
+    ((Math.atan2(up, -forward) - Math.atan2(rise, -length)) * 180) / Math.PI;
+  const wrappedTilt = ((((tilt + 180) % 360) + 360) % 360) - 180;
+  const clampedTilt = Math.min(
+    Math.max(wrappedTilt, geometry.minTilt),
+    geometry.maxTilt
+  );
+
+  const shortest = ladderLength(geometry, 0);
+  const longest = ladderLength(geometry, 1);
+  const extension =
+    longest > shortest ? (length - shortest) / (longest - shortest) : 0;
+  const clampedExtension = Math.min(Math.max(extension, 0), 1);
+
+  const tolerance = 1e-6;
+  return {
+    angle,
+    tilt: clampedTilt,
+    extension: clampedExtension,
+    reachable:
+      Math.abs(clampedTilt - wrappedTilt) < tolerance &&
+      Math.abs(clampedExtension - extension) < tolerance,
+  };
+}
@@ -0,0 +1,53 @@
+export { LAYOUTS, DEFAULT_LAYOUT, SINGLE_LAYOUT };
+
+/**
+ * A part of the canvas a camera is drawn on.
+ *
+ * The rectangle is given in fractions of the canvas, with the origin at the
+ * bottom left as in gl.viewport.
+ *
+ * @typedef {Object} Slot
+ * @property {number} x - Left edge.
+ * @property {number} y - Bottom edge.
+ * @property {number} width - Width.
+ * @property {number} height - Height.
+ * @property {string} camera - Name of the camera the slot shows until another one is assigned.
+ */
+
+/**
+ * The viewport layouts, by name. Slots are drawn in order, so later slots
+ * (such as the inset of the picture in picture) cover earlier ones.
+ *
+ * @type {Object<string, Slot[]>}
+ */
+const LAYOUTS = {
+  "1x1": [{ x: 0, y: 0, width: 1, height: 1, camera: "front" }],
+  "2x2": [
+    { x: 0, y: 0.5, width: 0.5, height: 0.5, camera: "front" },
+    { x: 0, y: 0, width: 0.5, height: 0.5, camera: "top" },
+    { x: 0.5, y: 0.5, width: 0.5, height: 0.5, camera: "left" },
+    { x: 0.5, y: 0, width: 0.5, height: 0.5, camera: "axo" },
+  ],
+  // A big view with a strip of three small ones on the right
+  "1+3": [
+    { x: 0, y: 0, width: 2 / 3, height: 1, camera: "axo" },
+    { x: 2 / 3, y: 2 / 3, width: 1 / 3, height: 1 / 3, camera: "front" },
+    { x: 2 / 3, y: 1 / 3, width: 1 / 3, height: 1 / 3, camera: "left" },
+    { x: 2 / 3, y: 0, width: 1 / 3, height: 1 / 3, camera: "top" },
+  ],
+  "side by side": [
+    { x: 0, y: 0, width: 0.5, height: 1, camera: "front" },
+    { x: 0.5, y: 0, width: 0.5, height: 1, camera: "axo" },
+  ],
+  // A small inset in the bottom right corner, clear of the panels
+  "picture in picture": [
+    { x: 0, y: 0, width: 1, height: 1, camera: "axo" },
+    { x: 0.72, y: 0.02, width: 0.26, height: 0.26, camera: "front" },
+  ],
+};
+
+// The layout shown at first
+const DEFAULT_LAYOUT = "2x2";
+
+// The layout '0' switches to and from
+const SINGLE_LAYOUT = "1x1";
@@ -1,4 +1,4 @@
-export { init, draw };
+export { init, draw, geometry, bounds };
 
 import { vec3, normalize, flatten } from '../MV.js';
 
@@ -140,6 +140,16 @@ function _buildVertices(diskPoints) {
 }
 
 
+// Vertex data kept on the CPU side (after init), used to export the model
+function geometry() {
+	return { points, normals, faces, edges };
+}
+
+// Box enclosing the primitive, in its own coordinates
+function bounds() {
+	return { min: vec3(-0.5, -0.5, -0.5), max: vec3(0.5, 0.5, 0.5) };
+}
+
 function draw(gl, program, primitive) {
 
 	gl.useProgram(program);
@@ -3,7 +3,7 @@
  * 
  */
 
-export { init, draw };
+export { init, draw, geometry, bounds };
 
 import { vec3, normalize, flatten } from '../MV.js';
 
@@ -167,6 +167,16 @@ function _uploadData(gl) {
     gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(edges), gl.STATIC_DRAW);
 }
 
+// Vertex data kept on the CPU side (after init), used to export the model
+function geometry() {
+    return { points, normals, faces, edges };
+}
+
+// Box enclosing the primitive, in its own coordinates
+function bounds() {
+    return { min: vec3(-0.5, -0.5, -0.5), max: vec3(0.5, 0.5, 0.5) };
+}
+
 function draw(gl, program, primitive) {
     gl.useProgram(program);
 
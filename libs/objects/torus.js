@@ -3,7 +3,7 @@
  * 
  */
 
-export { init, draw };
+export { init, draw, geometry, bounds };
 
 import { vec3, normalize, flatten } from '../MV.js';
 
@@ -24,7 +24,10 @@ const torus_DISKS = 30;
 const torus_DISK_RADIUS = 0.2;
 const torus_RADIUS = 0.5;
 
+let torus_extent = { big_r: torus_RADIUS, small_r: torus_DISK_RADIUS };
+
 function init(gl, ppd = torus_PPD, nd = torus_DISKS, big_r = torus_RADIUS, small_r = torus_DISK_RADIUS) {
+    torus_extent = { big_r, small_r };
     _build(ppd, nd, big_r, small_r);
     _uploadData(gl);
 }
@@ -129,6 +132,18 @@ function _uploadData(gl) {
     gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(edges), gl.STATIC_DRAW);
 }
 
+// Vertex data kept on the CPU side (after init), used to export the model
+function geometry() {
+    return { points, normals, faces, edges };
+}
+
+// Box enclosing the primitive, in its own coordinates (depends on the radii given to init)
+function bounds() {
+    const outer = torus_extent.big_r + torus_extent.small_r;
+    const inner = torus_extent.small_r;
+    return { min: vec3(-outer, -inner, -outer), max: vec3(outer, inner, outer) };
+}
+
 function draw(gl, program, primitive) {
     gl.useProgram(program);
 
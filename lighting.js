@@ -0,0 +1,193 @@
+import { vec4, mult, flatten, radians } from "./libs/MV.js";
+
+export {
+  MAX_LIGHTS,
+  DEFAULT_MATERIAL,
+  createDirectionalLight,
+  createPointLight,
+  createSpotLight,
+  uploadLights,
+  uploadMaterial,
+};
+
+/**
+ * @typedef {Object} Light
+ * @property {string} type - "directional" or "point".
+ * @property {boolean} enabled - Whether the light contributes to the scene.
+ * @property {number[]} [direction] - Direction towards a directional light (world coordinates).
+ * @property {number[]} [position] - Position of a point light (world coordinates).
+ * @property {number[]} ambient - Ambient intensity (RGB).
+ * @property {number[]} diffuse - Diffuse intensity (RGB).
+ * @property {number[]} specular - Specular intensity (RGB).
+ * @property {number[]} attenuation - Constant, linear and quadratic attenuation.
+ * @property {number[]} [axis] - Direction a spot light points to.
+ * @property {number} [cutoff] - Half angle of the spot light cone, in degrees.
+ * @property {number} [exponent] - How fast a spot light fades towards the cone edge.
+ * @property {import("./graphNode.js").default} [node] - Node the light is attached to;
+ *  when set, position, direction and axis are in the node's local coordinates.
+ */
+
+/**
+ * @typedef {Object} Material
+ * @property {number} ambient - Ambient reflection coefficient (scales the node color).
+ * @property {number} diffuse - Diffuse reflection coefficient (scales the node color).
+ * @property {number} specular - Specular reflection coefficient (scales the light color).
+ * @property {number} shininess - Specular exponent.
+ */
+
+// Must match MAX_LIGHTS in shader.frag
+const MAX_LIGHTS = 8;
+
+/** @type {Material} */
+const DEFAULT_MATERIAL = {
+  ambient: 0.3,
+  diffuse: 0.8,
+  specular: 0.3,
+  shininess: 20,
+};
+
+/**
+ * Creates a light infinitely far away, shining along a fixed direction.
+ *
+ * @param {number[]} direction - Direction pointing towards the light.
+ * @param {Object} [intensities] - The ambient, diffuse and specular intensities.
+ * @returns {Light} The light.
+ */
+function createDirectionalLight(direction, intensities = {}) {
+  return {
+    type: "directional",
+    enabled: true,
+    direction,
+    ambient: intensities.ambient || [0.2, 0.2, 0.2],
+    diffuse: intensities.diffuse || [0.8, 0.8, 0.8],
+    specular: intensities.specular || [1, 1, 1],
+    attenuation: [1, 0, 0],
+  };
+}
+
+/**
+ * Creates a light radiating in every direction from a point.
+ *
+ * @param {number[]} position - Position of the light.
+ * @param {Object} [intensities] - The ambient, diffuse and specular intensities
+ *  and the attenuation factors.
+ * @returns {Light} The light.
+ */
+function createPointLight(position, intensities = {}) {
+  return {
+    type: "point",
+    enabled: true,
+    position,
+    ambient: intensities.ambient || [0, 0, 0],
+    diffuse: intensities.diffuse || [0.6, 0.6, 0.6],
+    specular: intensities.specular || [0.6, 0.6, 0.6],
+    attenuation: intensities.attenuation || [1, 0, 0],
+  };
+}
+
+/**
+ * Creates a point light that only shines inside a cone around its axis.
+ *
+ * @param {number[]} position - Position of the light.
+ * @param {number[]} axis - Direction the cone points to.
+ * @param {number} cutoff - Half angle of the cone, in degrees.
+ * @param {number} exponent - How fast the light fades towards the cone edge.
+ * @param {Object} [intensities] - The ambient, diffuse and specular intensities
+ *  and the attenuation factors.
+ * @returns {Light} The light.
+ */
+function createSpotLight(position, axis, cutoff, exponent, intensities = {}) {
+  return {
+    ...createPointLight(position, intensities),
+    axis,
+    cutoff,
+    exponent,
+  };
+}
+
+/**
+ * Uploads the enabled lights, converted to eye coordinates, to the program.
+ *
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {WebGLProgram} program - The program using the lights.
+ * @param {Light[]} lights - The lights of the scene.
+ * @param {mat4} view - The view matrix of the camera.
+ */
+function uploadLights(gl, program, lights, view) {
+  const enabledLights = lights
+    .filter((light) => light.enabled)
+    .slice(0, MAX_LIGHTS);
+
+  const u_n_lights = gl.getUniformLocation(program, "u_n_lights");
+  gl.uniform1i(u_n_lights, enabledLights.length);
+
+  enabledLights.forEach((light, i) => {
+    const prefix = `u_lights[${i}]`;
+    const toEye = light.node ? mult(view, light.node.worldMatrix) : view;
+    const position =
+      light.type === "directional"
+        ? vec4(...light.direction, 0)
+        : vec4(...light.position, 1);
+    const axis = light.axis ? vec4(...light.axis, 0) : vec4(0, 0, -1, 0);
+
+    gl.uniform4fv(
+      gl.getUniformLocation(program, `${prefix}.position`),
+      flatten(mult(toEye, position))
+    );
+    gl.uniform3fv(
+      gl.getUniformLocation(program, `${prefix}.axis`),
+      flatten(mult(toEye, axis).slice(0, 3))
+    );
+    // A cosine of -1 turns the cone off
+    gl.uniform1f(
+      gl.getUniformLocation(program, `${prefix}.cutoff`),
+      light.axis ? Math.cos(radians(light.cutoff)) : -1
+    );
+    gl.uniform1f(
+      gl.getUniformLocation(program, `${prefix}.exponent`),
+      light.exponent || 0
+    );
+    gl.uniform3fv(
+      gl.getUniformLocation(program, `${prefix}.ambient`),
+      light.ambient
+    );
+    gl.uniform3fv(
+      gl.getUniformLocation(program, `${prefix}.diffuse`),
+      light.diffuse
+    );
+    gl.uniform3fv(
+      gl.getUniformLocation(program, `${prefix}.specular`),
+      light.specular
+    );
+    gl.uniform3fv(
+      gl.getUniformLocation(program, `${prefix}.attenuation`),
+      light.attenuation
+    );
+  });
+}
+
+/**
+ * Uploads the reflection coefficients of a material to the program.
+ *
+ * @param {WebGL2RenderingContext} gl - The WebGL context.
+ * @param {WebGLProgram} program - The program using the material.
+ * @param {Material} [material] - The material, DEFAULT_MATERIAL if omitted.
+ */
+function uploadMaterial(gl, program, material = DEFAULT_MATERIAL) {
+  gl.uniform1f(
+    gl.getUniformLocation(program, "u_material.ambient"),
+    material.ambient
+  );
+  gl.uniform1f(
+    gl.getUniformLocation(program, "u_material.diffuse"),
+    material.diffuse
+  );
+  gl.uniform1f(
+    gl.getUniformLocation(program, "u_material.specular"),
+    material.specular
+  );
+  gl.uniform1f(
+    gl.getUniformLocation(program, "u_material.shininess"),
+    material.shininess
+  );
+}
@@ -0,0 +1,113 @@
+import { mult, inverse, vec4, subtract } from "./libs/MV.js";
+
+export { pickRay, pick };
+
+/**
+ * @typedef {Object} Ray
+ * @property {number[]} origin - The point the ray starts from, in world coordinates.
+ * @property {number[]} direction - The direction of the ray, in world coordinates.
+ *  Its length is the distance travelled for t = 1.
+ */
+
+/**
+ * @typedef {Object} PickResult
+ * @property {import("./graphNode.js").default} node - The node that was hit.
+ * @property {number} distance - The ray parameter t of the hit.
+ */
+
+/**
+ * Returns the ray under a point of a viewport, going away from the camera.
+ *
+ * The point is unprojected on the near and far planes, which works for both
+ * orthographic and perspective projections.
+ *
+ * @param {mat4} projection - The projection matrix of the view.
+ * @param {mat4} view - The view matrix of the view.
+ * @param {number} ndcX - Horizontal position in the viewport, from -1 (left) to 1 (right).
+ * @param {number} ndcY - Vertical position in the viewport, from -1 (bottom) to 1 (top).
+ * @returns {Ray} The ray, in world coordinates.
+ */
+function pickRay(projection, view, ndcX, ndcY) {
+  const inverseViewProjection = inverse(mult(projection, view));
+
+  const unproject = (ndcZ) => {
+    const point = mult(inverseViewProjection, vec4(ndcX, ndcY, ndcZ, 1));
+    return [point[0] / point[3], point[1] / point[3], point[2] / point[3]];
+  };
+
+  const near = unproject(-1);
+  const far = unproject(1);
+  return { origin: near, direction: subtract(far, near) };
+}
+
+/**
+ * Finds the nearest node of a subtree hit by a ray.
+ *
+ * Each node that draws something is tested against the bounding box of its
+ * primitive, transformed by its world matrix. Hidden nodes and their children
+ * are skipped, and so are wireframe overlays (such as the glass of the
+ * lights) that are always drawn as lines and can be seen through.
+ *
+ * @param {import("./graphNode.js").default} root - The root of the subtree.
+ * @param {Ray} ray - The ray, in world coordinates.
+ * @returns {PickResult|null} The nearest hit, or null if the ray misses every node.
+ */
+function pick(root, ray) {
+  let nearest = null;
+
+  const visit = (node) => {
+    if (!node.visible) return;
+
+    const drawInfo = node.drawInfo;
+    const seeThrough =
+      drawInfo?.fixedMode &&
+      drawInfo.currentMode === WebGL2RenderingContext.LINES;
+
+    if (drawInfo && !seeThrough) {
+      const distance = intersectNode(node, ray);
+      if (distance !== null && (!nearest || distance < nearest.distance)) {
+        nearest = { node, distance };
+      }
+    }
+    node.children.forEach(visit);
+  };
+  visit(root);
+
+  return nearest;
+}
+
+/**
+ * Intersects a ray with the bounding box of the primitive of a node.
+ *
+ * The ray is brought into the coordinates of the node, where the box is
+ * axis aligned; the ray parameter is the same in both spaces.
+ *
+ * @param {import("./graphNode.js").default} node - A node with a draw info.
+ * @param {Ray} ray - The ray, in world coordinates.
+ * @returns {number|null} The ray parameter of the entry point, or null if it misses.
+ */
+function intersectNode(node, ray) {
+  const toLocal = inverse(node.worldMatrix);
+  const origin = mult(toLocal, vec4(...ray.origin, 1));
+  const direction = mult(toLocal, vec4(...ray.direction, 0));
+  const { min, max } = node.getLocalBounds();
+
+  let tNear = 0;
+  let tFar = 1;
+  for (let axis = 0; axis < 3; axis++) {
+    if (direction[axis] === 0) {
+      if (origin[axis] < min[axis] || origin[axis] > max[axis]) return null;
+      continue;
+    }
+
+    let t0 = (min[axis] - origin[axis]) / direction[axis];
+    let t1 = (max[axis] - origin[axis]) / direction[axis];
+    if (t0 > t1) [t0, t1] = [t1, t0];
+
+    tNear = Math.max(tNear, t0);
+    tFar = Math.min(tFar, t1);
+    // Also rejects the NaNs of a node scaled to nothing
+    if (!(tNear <= tFar)) return null;
+  }
+  return tNear;
+}
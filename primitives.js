@@ -0,0 +1,25 @@
+import * as CUBE from "./libs/objects/cube.js";
+import * as CYLINDER from "./libs/objects/cylinder.js";
+import * as PYRAMID from "./libs/objects/pyramid.js";
+import * as SPHERE from "./libs/objects/sphere.js";
+import * as TORUS from "./libs/objects/torus.js";
+
+export { PRIMITIVES, primitiveName };
+
+/**
+ * The primitives the scene graph is drawn with, by name.
+ *
+ * The names let the model be described outside of the code, for example when
+ * it is exported or saved to a file.
+ */
+const PRIMITIVES = { CUBE, CYLINDER, PYRAMID, SPHERE, TORUS };
+
+/**
+ * Returns the name of a primitive.
+ *
+ * @param {Object} primitive - One of the primitive modules.
+ * @returns {string|undefined} Its name in PRIMITIVES, undefined if it is not one of them.
+ */
+function primitiveName(primitive) {
+  return Object.keys(PRIMITIVES).find((name) => PRIMITIVES[name] === primitive);
+}
@@ -2,12 +2,100 @@
 
 precision mediump float;
 
+const int MAX_LIGHTS = 8;
+
+struct LightInfo {
+    vec4 position; // Eye coordinates, w = 0 for directional lights
+    vec3 ambient;
+    vec3 diffuse;
+    vec3 specular;
+    vec3 attenuation; // Constant, linear and quadratic
+    vec3 axis; // Eye coordinates, direction of the spot light cone
+    float cutoff; // Cosine of the cone half angle, -1 for no cone
+    float exponent;
+};
+
+struct MaterialInfo {
+    float ambient;
+    float diffuse;
+    float specular;
+    float shininess;
+};
+
+uniform int u_n_lights;
+uniform LightInfo u_lights[MAX_LIGHTS];
+uniform MaterialInfo u_material;
+
+uniform bool u_use_lighting;
+uniform bool u_perspective;
 uniform vec4 u_base_color;
+uniform bool u_highlight; // The node is part of the selection
+
+// Selected nodes are tinted towards this color
+const vec3 HIGHLIGHT_COLOR = vec3(1.0, 0.8, 0.0);
+const float HIGHLIGHT_AMOUNT = 0.5;
 
 in vec3 v_normal;
+in vec3 v_position;
 
 out vec4 frag_color;
 
+vec4 highlight(vec4 color) {
+    if (!u_highlight) return color;
+    return vec4(mix(color.rgb, HIGHLIGHT_COLOR, HIGHLIGHT_AMOUNT), color.a);
+}
+
 void main() {
-    frag_color = u_base_color;
+    if (!u_use_lighting) {
+        frag_color = highlight(u_base_color);
+        return;
+    }
+
+    // Orthographic cameras look along -Z everywhere
+    vec3 V = u_perspective ? normalize(-v_position) : vec3(0.0, 0.0, 1.0);
+    vec3 N = normalize(v_normal);
+
+    // Light both sides of open surfaces
+    if (dot(N, V) < 0.0) N = -N;
+
+    vec3 color = vec3(0.0);
+
+    for (int i = 0; i < MAX_LIGHTS; i++) {
+        if (i >= u_n_lights) break;
+
+        vec3 L;
+        float attenuation = 1.0;
+
+        if (u_lights[i].position.w == 0.0) {
+            L = normalize(u_lights[i].position.xyz);
+        } else {
+            vec3 toLight = u_lights[i].position.xyz - v_position;
+            float dist = length(toLight);
+            vec3 k = u_lights[i].attenuation;
+
+            L = toLight / dist;
+            attenuation = 1.0 / (k.x + k.y * dist + k.z * dist * dist);
+
+            if (u_lights[i].cutoff > -1.0) {
+                float spotCos = dot(-L, normalize(u_lights[i].axis));
+                attenuation *= smoothstep(u_lights[i].cutoff, u_lights[i].cutoff + 0.02, spotCos)
+                    * pow(max(spotCos, 0.0), u_lights[i].exponent);
+            }
+        }
+
+        vec3 H = normalize(L + V);
+
+        float diffuseFactor = max(dot(N, L), 0.0);
+        float specularFactor = diffuseFactor > 0.0
+            ? pow(max(dot(N, H), 0.0), u_material.shininess)
+            : 0.0;
+
+        vec3 ambient = u_lights[i].ambient * u_material.ambient * u_base_color.rgb;
+        vec3 diffuse = u_lights[i].diffuse * u_material.diffuse * diffuseFactor * u_base_color.rgb;
+        vec3 specular = u_lights[i].specular * u_material.specular * specularFactor;
+
+        color += ambient + attenuation * (diffuse + specular);
+    }
+
+    frag_color = highlight(vec4(color, u_base_color.a));
 }
\ No newline at end of file
@@ -4,11 +4,16 @@ in vec4 a_position;
 in vec3 a_normal;
 
 out vec3 v_normal;
+out vec3 v_position;
 
 uniform mat4 u_model_view;
+uniform mat4 u_normals;
 uniform mat4 u_projection;
 
 void main() {
-    gl_Position = u_projection * u_model_view * a_position;
-    v_normal = a_normal;
+    vec4 position = u_model_view * a_position;
+
+    gl_Position = u_projection * position;
+    v_position = position.xyz;
+    v_normal = (u_normals * vec4(a_normal, 0.0)).xyz;
 }
\ No newline at end of file
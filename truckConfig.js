@@ -0,0 +1,246 @@
+/**
+ * truckConfig.js
+ *
+ * The factors every dimension of the truck is derived from, and the
+ * validation of truck configurations loaded from JSON documents.
+ */
+
+export { DEFAULT_TRUCK_CONFIG, createTruckConfig, parseTruckConfig };
+
+/**
+ * The truck as designed. A configuration document only needs to list the
+ * factors it changes; the others keep these values.
+ *
+ * Note that the truck faces -X, so WIDTH is its length along X, LENGTH is its
+ * width along Z and DISTANCE_BETWEEN_AXLES_FACTOR sets the wheelbase.
+ *
+ * @typedef {typeof DEFAULT_TRUCK_CONFIG} TruckConfig
+ */
+const DEFAULT_TRUCK_CONFIG = {
+  // Overall dimensions of the truck
+  TRUCK_SIZE_MULTIPLIER: 1, // Makes truck bigger or smaller overall (1 is default)
+  TRUCK_FACTORS: { WIDTH_FACTOR: 20, HEIGHT_FACTOR: 6, LENGTH_FACTOR: 8 },
+
+  // Wheels
+  WHEEL_RADIUS_FACTOR: 2, // (2 is default)
+  WHEEL_THICKNESS_FACTOR: 0.5,
+
+  // Axles
+  DISTANCE_BETWEEN_AXLES_FACTOR: 0.6,
+  AXLE_RADIUS_FACTOR: 0.1,
+
+  // Rims
+  RIM_RADIUS_FACTOR: 1.2,
+  RIM_THICKNESS_FACTOR: 0.1,
+  DISTANCE_BETWEEN_WHEELS_SAME_AXLE_FACTOR: 0.5,
+
+  // Lower plaque
+  LOWER_PLAQUE_HEIGHT_FACTOR: 1.1,
+  LOWER_PLAQUE_WIDTH_FACTOR: 1.0,
+  LOWER_PLAQUE_LENGTH_FACTOR: 1.0,
+
+  // Upper plaque
+  UPPER_PLAQUE_WIDTH_FACTOR: 1.1,
+  UPPER_PLAQUE_HEIGHT_FACTOR: 0.1,
+  UPPER_PLAQUE_LENGTH_FACTOR: 1.1,
+  UPPER_PLAQUE_OFFSET_FACTOR: 0.5,
+
+  // Bumper
+  MIDDLE_SIDE_BUMPER_WIDTH_FACTOR: 0.2,
+  EDGE_SIDE_BUMPER_WIDTH_FACTOR: 0.9,
+
+  // Blinkers
+  FRONT_BLINKER_WIDTH_FACTOR: 0.05,
+  FRONT_BLINKER_HEIGHT_FACTOR: 0.5,
+  FRONT_BLINKER_LENGTH_FACTOR: 0.01,
+  FRONT_BLINKER_OFFSET_X_FACTOR: 0.5,
+  FRONT_BLINKER_OFFSET_Z_FACTOR: 0.5,
+  BACK_BLINKER_OFFSET_X_FACTOR: 0.5,
+  BACK_BLINKER_OFFSET_Z_FACTOR: 0.3,
+
+  // Front body
+  FRONT_BOX_WIDTH_FACTOR: 0.3,
+  FRONT_BOX_HEIGHT_FACTOR: 1.0,
+  FRONT_BOX_LENGTH_FACTOR: 1.0,
+  FRONT_BODY_SETUP_OFFSET_X_FACTOR: 0.5,
+  SUM_FLOOR_UNDERBODY_AND_PLAQUES_FACTOR: 0.5,
+  FRONT_BODY_SETUP_OFFSET_Y_FACTOR: 0.5,
+
+  // Front window
+  FRONT_WINDOW_HEIGHT_RATIO: 0.6,
+  FRONT_WINDOW_WIDTH_FACTOR: 0.9,
+  FRONT_WINDOW_OFFSET_X_FACTOR: -0.5,
+
+  // Lights
+  FRONT_LIGHT_WIDTH_FACTOR: 0.1,
+  FRONT_LIGHT_HEIGHT_FACTOR: 0.1,
+  FRONT_LIGHT_LENGTH_FACTOR: 0.1,
+  FRONT_LIGHT_OFFSET_X_FACTOR: 0.5,
+  FRONT_LIGHT_OFFSET_Y_FACTOR: 2.5,
+  FRONT_LIGHT_OFFSET_Z_FACTOR: 4,
+
+  // Side windows
+  SIDE_WINDOW_WIDTH_FACTOR: 0.3,
+  SIDE_WINDOW_HEIGHT_FACTOR: 0.6,
+  SIDE_WINDOW_LENGTH_FACTOR: 0.01,
+  LEFT_WINDOW_OFFSET_X_FACTOR: 0.3,
+  RIGHT_WINDOW_OFFSET_X_FACTOR: 0.3,
+  LEFT_WINDOW_OFFSET_Z_FACTOR: 0.5,
+  RIGHT_WINDOW_OFFSET_Z_FACTOR: 0.5,
+
+  // Siren
+  SIREN_SIZE_FACTOR: 0.1,
+  SIREN_OFFSET_Y_FACTOR: 0.5,
+  SIREN_GLASS_RATIO: 1.1,
+
+  // Back body
+  BACK_BOX_WIDTH_FACTOR: 0.65,
+  BACK_BOX_HEIGHT_FACTOR: 0.8,
+  BACK_BOX_LENGTH_FACTOR: 1,
+  TOP_BOTTOM_WALLS_HEIGHT_FACTOR: 0.1,
+  BACK_BODY_OFFSET_X_FACTOR: 0.5,
+  BACK_BODY_OFFSET_Y_FACTOR: 0.5,
+  RIGHT_LEFT_WALLS_WIDTH_FACTOR: 0.1,
+
+  // Axe
+  AXE_BODY_WIDTH_FACTOR: 0.05,
+  AXE_BODY_LENGTH_FACTOR: 0.7,
+  AXE_BODY_OFFSET_X_FACTOR: 0.5,
+  AXE_HEAD_WIDTH_FACTOR: 0.1,
+  AXE_HEAD_HEIGHT_FACTOR: 5,
+  AXE_HEAD_LENGTH_FACTOR: 0.3,
+  AXE_HEAD_OFFSET_Y_FACTOR: -0.5,
+  AXE_HEAD_OFFSET_Z_FACTOR: -0.5,
+
+  // Water tank
+  WATER_WIDTH_FACTOR: 0.5,
+  WATER_HEIGHT_FACTOR: 0.5,
+  WATER_LENGTH_FACTOR: 0.5,
+  WATER_GLASS_SCALE_FACTOR: 1.1,
+  WATER_TANK_OFFSET_X_FACTOR: 0.5,
+  WATER_TANK_OFFSET_Y_FACTOR: 0.5,
+  BACK_TUBE_SCALE_FACTOR: 0.1,
+  BACK_TUBE_OFFSET_Y_FACTOR: 0.5,
+  FRONT_TUBE_WIDTH_FACTOR: 0.9,
+  FRONT_TUBE_HEIGHT_FACTOR: 0.5,
+  FRONT_TUBE_OFFSET_X_FACTOR: 0.5,
+  FRONT_TUBE_OFFSET_Y_FACTOR: 0.5,
+  UPPER_TUBE_WIDTH_FACTOR: 0.3,
+  UPPER_TUBE_HEIGHT_FACTOR: 0.5,
+  UPPER_TUBE_LENGTH_FACTOR: 0.5,
+  UPPER_TUBE_OFFSET_X_FACTOR: 0.5,
+  UPPER_TUBE_OFFSET_Y_FACTOR: 0.5,
+  TAP_WHEEL_OFFSET_X_FACTOR: 0.5,
+  TAP_WHEEL_OFFSET_Y_FACTOR: 0.5,
+  TAP_WHEEL_VERTICAL_DETAIL_SCALE_FACTOR: 0.5,
+  TAP_WHEEL_VERTICAL_DETAIL_LENGTH_FACTOR: 2.5,
+  TAP_WHEEL_HORIZONTAL_DETAIL_SCALE_FACTOR: 2.5,
+  TAP_WHEEL_HORIZONTAL_DETAIL_LENGTH_FACTOR: 0.5,
+  LADDER_BASE_WIDTH_FACTOR: 0.5,
+  LADDER_BASE_HEIGHT_FACTOR: 0.1,
+  BASE_BLOCK_WIDTH_FACTOR: 0.6,
+  BASE_BLOCK_HEIGHT_FACTOR: 2,
+  LADDER_PART_WIDTH_FACTOR: 2, // Length of each ladder section
+  LADDER_PART_HEIGHT_FACTOR: 0.5,
+  LADDER_PART_LENGTH_FACTOR: 0.1,
+  LADDER_STEP_HEIGHT_FACTOR: 0.7,
+  LADDER_STEP_LENGTH_FACTOR: 0.1,
+  LADDER_SECTION_COUNT: 2, // Nested sections of the ladder, the bottom one included
+  LADDER_SECTION_OVERLAP_FACTOR: 0.1, // Part of a fully extended section left inside the one below
+};
+
+// Limits of LADDER_SECTION_COUNT
+const MIN_LADDER_SECTIONS = 2;
+const MAX_LADDER_SECTIONS = 6;
+
+/**
+ * Checks that a value is a valid factor of the configuration.
+ *
+ * Offsets may be zero or negative; every other factor scales a size and
+ * must be positive. The number of ladder sections is a whole number within
+ * limits, and a section cannot overlap more than its whole length.
+ *
+ * @param {string} key - The name of the factor, used in the error messages.
+ * @param {*} value - The value to check.
+ * @param {string[]} problems - Where the problems found are added.
+ */
+function validateFactor(key, value, problems) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    problems.push(`"${key}" must be a number`);
+  } else if (key === "LADDER_SECTION_COUNT") {
+    if (
+      !Number.isInteger(value) ||
+      value < MIN_LADDER_SECTIONS ||
+      value > MAX_LADDER_SECTIONS
+    ) {
+      problems.push(
+        `"${key}" must be an integer from ${MIN_LADDER_SECTIONS} to ${MAX_LADDER_SECTIONS}`
+      );
+    }
+  } else if (!key.includes("OFFSET") && value <= 0) {
+    problems.push(`"${key}" must be greater than 0`);
+  } else if (key === "LADDER_SECTION_OVERLAP_FACTOR" && value >= 1) {
+    problems.push(`"${key}" must be less than 1`);
+  }
+}
+
+/**
+ * Creates a truck configuration from the default one and the given overrides.
+ *
+ * @param {Object} overrides - The factors to change, with the same keys as DEFAULT_TRUCK_CONFIG.
+ * @returns {TruckConfig} A new, validated configuration.
+ * @throws {Error} If the overrides have unknown keys or invalid values, listing every problem.
+ */
+function createTruckConfig(overrides) {
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new Error("Invalid truck configuration: expected an object");
+  }
+
+  const config = structuredClone(DEFAULT_TRUCK_CONFIG);
+  const problems = [];
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!(key in config)) {
+      problems.push(`Unknown key "${key}"`);
+    } else if (key === "TRUCK_FACTORS") {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        problems.push(`"${key}" must be an object`);
+        continue;
+      }
+      for (const [factor, factorValue] of Object.entries(value)) {
+        if (!(factor in config.TRUCK_FACTORS)) {
+          problems.push(`Unknown key "${key}.${factor}"`);
+        } else {
+          validateFactor(`${key}.${factor}`, factorValue, problems);
+          config.TRUCK_FACTORS[factor] = factorValue;
+        }
+      }
+    } else {
+      validateFactor(key, value, problems);
+      config[key] = value;
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid truck configuration:\n- ${problems.join("\n- ")}`);
+  }
+
+  return config;
+}
+
+/**
+ * Parses and validates a truck configuration from a JSON document.
+ *
+ * @param {string} json - The JSON document, an object with the factors to change.
+ * @returns {TruckConfig} A new, validated configuration.
+ * @throws {Error} If the document is not valid JSON or not a valid configuration.
+ */
+function parseTruckConfig(json) {
+  let overrides;
+  try {
+    overrides = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Invalid truck configuration JSON: ${error.message}`);
+  }
+  return createTruckConfig(overrides);
+}
@@ -0,0 +1,131 @@
+import { add, scale, normalize, cross, vec3 } from "./libs/MV.js";
+
+/**
+ * A drop of water in flight.
+ *
+ * @typedef {Object} Drop
+ * @property {number[]} position - Where the drop is, in world coordinates.
+ * @property {number[]} velocity - Its velocity, in units per second.
+ * @property {number} age - Time since it left the nozzle, in seconds.
+ */
+
+/**
+ * Where the water leaves from and how fast.
+ *
+ * @typedef {Object} Nozzle
+ * @property {number[]} position - The nozzle, in world coordinates.
+ * @property {number[]} direction - The unit direction the nozzle points to.
+ * @property {number} speed - The speed of the water leaving it, in units per second.
+ */
+
+/**
+ * A jet of water drops flying along ballistic arcs.
+ *
+ * Drops leave the nozzle at a steady rate, slightly scattered around its
+ * direction, fall under gravity and disappear when they reach the floor or
+ * get too old.
+ */
+export default class WaterJet {
+  /**
+   * @param {Object} options - The behavior of the jet.
+   * @param {number} options.rate - Drops leaving the nozzle per second.
+   * @param {number} options.gravity - Downwards acceleration, in units per second squared.
+   * @param {number} options.spread - Largest angle between a drop and the nozzle, in degrees.
+   * @param {number} options.lifetime - Time after which a drop disappears, in seconds.
+   * @param {number} options.floor - Height at which drops hit the floor.
+   * @param {number} options.maxDrops - Most drops in flight at once.
+   */
+  constructor({ rate, gravity, spread, lifetime, floor, maxDrops }) {
+    this.rate = rate;
+    this.gravity = gravity;
+    this.spread = spread;
+    this.lifetime = lifetime;
+    this.floor = floor;
+    this.maxDrops = maxDrops;
+    /** @type {Drop[]} */
+    this.drops = [];
+    // Fraction of a drop left over from the last update
+    this.pending = 0;
+  }
+
+  /**
+   * Moves the drops in flight and lets new ones out of the nozzle.
+   *
+   * @param {number} dt - The time elapsed since the last update, in seconds.
+   * @param {Nozzle|null} nozzle - The nozzle, or null if no water comes out.
+   */
+  update(dt, nozzle) {
+    this.drops.forEach((drop) => this.move(drop, dt));
+
+    if (nozzle) {
+      this.pending += this.rate * dt;
+      for (; this.pending >= 1; this.pending--) {
+        if (this.drops.length >= this.maxDrops) continue;
+
+        const drop = {
+          position: nozzle.position,
+          velocity: scale(nozzle.speed, this.scatter(nozzle.direction)),
+          age: 0,
+        };
+        // Spread the new drops over the frame rather than in a clump
+        this.move(drop, Math.random() * dt);
+        this.drops.push(drop);
+      }
+    } else {
+      this.pending = 0;
+    }
+
+    this.drops = this.drops.filter(
+      (drop) => drop.position[1] > this.floor && drop.age < this.lifetime
+    );
+  }
+
+  /**
+   * Removes every drop in flight.
+   */
+  clear() {
+    this.drops = [];
+    this.pending = 0;
+  }
+
+  /**
+   * Moves a drop along its arc.
+   *
+   * @param {Drop} drop - The drop.
+   * @param {number} dt - The time to move it by, in seconds.
+   */
+  move(drop, dt) {
+    const gravity = vec3(0, -this.gravity, 0);
+    drop.position = add(
+      drop.position,
+      add(scale(dt, drop.velocity), scale(0.5 * dt * dt, gravity))
+    );
+    drop.velocity = add(drop.velocity, scale(dt, gravity));
+    drop.age += dt;
+  }
+
+  /**
+   * Turns a direction by a random angle within the spread.
+   *
+   * @param {number[]} direction - The unit direction.
+   * @returns {number[]} The scattered unit direction.
+   */
+  scatter(direction) {
+    // Any two axes perpendicular to the direction
+    const helper = Math.abs(direction[1]) < 0.9 ? vec3(0, 1, 0) : vec3(1, 0, 0);
+    const side = normalize(cross(direction, helper));
+    const up = cross(side, direction);
+
+    const radius = Math.tan((this.spread * Math.PI) / 180) * Math.random();
+    const angle = 2 * Math.PI * Math.random();
+    return normalize(
+      add(
+        direction,
+        add(
+          scale(radius * Math.cos(angle), side),
+          scale(radius * Math.sin(angle), up)
+        )
+      )
+    );
+  }
+}